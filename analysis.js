@@ -24,9 +24,27 @@ const ScoringConfig = {
   humanLatencySD: [15, 180],
   humanTremorRatioMin: 0.005,
   human1fSlopeRange: [-2.5, 0.0],
+  humanDfaAlphaRange: [0.6, 1.5],       // error-velocity DFA α — between white (0.5) and brown (1.5)
+  humanPowerLawBetaRange: [0.15, 0.5],  // free move: speed ∝ curvature^(−β), β ≈ 1/3
+  humanSubmovementRate: [0.5, 6],       // free move: velocity peaks per second of movement
+  humanBellR2Min: 0.7,                  // free move: submovement speed vs min-jerk bell
+  // Multiscale sample entropy, per input device: mean SampEn over scales 1–5
+  // and its slope per scale. White noise falls steeply with scale; replayed or
+  // PID-smooth signals sit near zero at fine scales and climb.
+  humanEntropyRanges: {
+    mouse:    { mean: [0.3, 1.8],  slope: [-0.12, 0.15] },
+    trackpad: { mean: [0.25, 1.8], slope: [-0.12, 0.18] },
+    touch:    { mean: [0.15, 2.0], slope: [-0.15, 0.2] },   // sparse touch events
+  },
   humanSDNSlopeMin: 0.05,
   humanCrossAxisMin: 0.03,
   humanCogInterferenceMin: 0.03,
+  humanAxisDelayDiffMax: 100,           // ms — X and Y share one visuomotor loop
+  humanAxisLeakageRange: [0.02, 0.6],   // |cross| / |direct| gain — biomechanical coupling
+  humanCrossoverRange: [1.5, 12],       // rad/s — McRuer ωc for a position-control cursor
+  humanEffectiveDelayRange: [80, 350],  // ms — τe, visual + neuromuscular
+  humanLeadLagRange: [-0.4, 0.4],       // s — +lead / −lag time constant
+  humanModelFitMin: 0.5,                // weighted complex R² of the crossover fit
   tremorBandLow: 8,
   tremorBandHigh: 12,
 
@@ -35,11 +53,37 @@ const ScoringConfig = {
     transferFn: 3.0,
     tremor: 2.5,
     oneOverF: 2.0,
+    dfa: 2.0,
+    entropy: 1.5,
     signalDepNoise: 2.5,
     crossAxis: 2.0,
     pulseResponse: 3.0,
     cogInterference: 2.0,
     minJerk: 1.5,
+    operatorModel: 2.0,
+    freeMove: 2.0,
+  },
+
+  // Implausibly perfect probe response (see detectPerfectResponse) — a
+  // script reading the perturbation back out of the DOM and replaying it
+  perfectResponse: {
+    minFreqHz: 1,               // slower probes are biased by per-hover detrending
+    minProbes: 3,               // resolved, coherent probes ≥ minFreqHz needed to judge
+    highFreqHz: 3,              // ...at least one of them this fast (humans roll off)
+    flatGainSlope: -0.15,       // log-log gain slope above this = no roll-off across the probes
+    lagResidualMax: 0.1,        // rad — phases fit one pure delay this well (worst probe dropped from 4 up)
+    coherenceMin: 0.96,         // median coherence this high = no motor noise
+    penalty: 0.2,               // overall × this when detected
+  },
+
+  // Temporal plausibility (see standalonePlausibility)
+  timing: {
+    clockSkewMs: 1000,          // issuing vs verifying instance, client timer drift
+    phaseEarlyMs: 100,          // a phase can't end before its duration...
+    phaseLateMs: 1500,          // ...but may end late on a stalled frame
+    edgeMs: 750,                // tracking samples must reach this close to both ends
+    sampleRateRange: [20, 1200], // Hz over the tracking window
+    maxGapMs: 2000,
   },
 
   // Verdict thresholds
@@ -107,35 +151,284 @@ const MathEngine = {
     return { freqs, power };
   },
 
-  transferFunction(input, output, sampleRate) {
-    const N = this.nextPow2(Math.max(input.length, output.length));
-    const xRe = new Array(N).fill(0);
-    const xIm = new Array(N).fill(0);
-    const yRe = new Array(N).fill(0);
-    const yIm = new Array(N).fill(0);
+  /**
+   * Welch-averaged transfer function H = Sxy / Sxx from `input` to `output`.
+   * AGENT COOKIE CRUMB: Coherence from a single FFT is |XY*|² / (|X|²|Y|²)
+   * = 1 at every bin, whatever the data — it only means something once the
+   * spectra are AVERAGED over several segments. Segments are Hann-windowed,
+   * mean-removed, 50% overlapped; the default length is the largest power of
+   * two giving ≥4 segments, so frequency resolution trades against variance.
+   *
+   * Random-error bounds follow Bendat & Piersol: with n_d effective averages,
+   * the normalized error of |H| and the std of the phase (rad) are both
+   * sqrt(1 − γ²) / (|γ| · sqrt(2·n_d)). coherenceThreshold is the 95% level
+   * for γ² under "no linear relation" (1 − 0.05^(1/(n_d − 1))).
+   *
+   * @param {number[]} input - Perturbation signal
+   * @param {number[]} output - Response signal (same sample clock)
+   * @param {number} sampleRate - Hz
+   * @param {Object} [opts]
+   * @param {number} [opts.segmentLength] - Samples per segment (power of two)
+   * @param {number} [opts.overlap=0.5] - Fractional segment overlap
+   */
+  transferFunction(input, output, sampleRate, opts = {}) {
     const len = Math.min(input.length, output.length);
-    for (let i = 0; i < len; i++) {
-      const w = 0.5 * (1 - Math.cos(2 * Math.PI * i / (len - 1)));
-      xRe[i] = input[i] * w;
-      yRe[i] = output[i] * w;
+    const overlap = opts.overlap ?? 0.5;
+    let nseg = opts.segmentLength || (1 << Math.floor(Math.log2(Math.max(1, len / (1 + 3 * (1 - overlap))))));
+    nseg = Math.min(Math.max(32, nseg), 1 << Math.floor(Math.log2(Math.max(2, len))));
+    const step = Math.max(1, Math.round(nseg * (1 - overlap)));
+    const segments = Math.max(1, Math.floor((len - nseg) / step) + 1);
+
+    const win = new Array(nseg);
+    for (let i = 0; i < nseg; i++) win[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (nseg - 1)));
+
+    const halfN = nseg / 2;
+    const sxx = new Float64Array(halfN), syy = new Float64Array(halfN);
+    const sxyRe = new Float64Array(halfN), sxyIm = new Float64Array(halfN);
+    const zeros = new Array(nseg).fill(0);
+    for (let k = 0; k < segments; k++) {
+      const start = k * step;
+      const segLen = Math.min(nseg, len - start);
+      let meanX = 0, meanY = 0;
+      for (let i = 0; i < segLen; i++) { meanX += input[start + i]; meanY += output[start + i]; }
+      meanX /= segLen; meanY /= segLen;
+      const xRe = new Array(nseg).fill(0);
+      const yRe = new Array(nseg).fill(0);
+      for (let i = 0; i < segLen; i++) {
+        xRe[i] = (input[start + i] - meanX) * win[i];
+        yRe[i] = (output[start + i] - meanY) * win[i];
+      }
+      const X = this.fft(xRe, zeros);
+      const Y = this.fft(yRe, zeros);
+      for (let i = 0; i < halfN; i++) {
+        sxx[i] += X.re[i] ** 2 + X.im[i] ** 2;
+        syy[i] += Y.re[i] ** 2 + Y.im[i] ** 2;
+        sxyRe[i] += X.re[i] * Y.re[i] + X.im[i] * Y.im[i];
+        sxyIm[i] += X.re[i] * Y.im[i] - X.im[i] * Y.re[i];
+      }
     }
-    const X = this.fft(xRe, xIm);
-    const Y = this.fft(yRe, yIm);
-    const halfN = N / 2;
-    const magnitude = [], phase = [], coherence = [], freqs = [];
+
+    // Overlapping segments are correlated — fewer independent averages than segments
+    let winPower = 0;
+    for (let i = 0; i < nseg; i++) winPower += win[i] ** 2;
+    let varianceFactor = 1;
+    for (let j = 1; j < segments && j * step < nseg; j++) {
+      let lagged = 0;
+      for (let i = 0; i + j * step < nseg; i++) lagged += win[i] * win[i + j * step];
+      varianceFactor += 2 * (1 - j / segments) * (lagged / winPower) ** 2;
+    }
+    const effectiveSegments = segments / varianceFactor;
+    const coherenceThreshold = effectiveSegments > 1 ? 1 - Math.pow(0.05, 1 / (effectiveSegments - 1)) : 1;
+
+    const magnitude = [], phase = [], coherence = [], gainError = [], phaseError = [], freqs = [];
     for (let i = 0; i < halfN; i++) {
-      freqs.push(i * sampleRate / N);
-      const sxyRe = X.re[i] * Y.re[i] + X.im[i] * Y.im[i];
-      const sxyIm = X.re[i] * Y.im[i] - X.im[i] * Y.re[i];
-      const sxx = X.re[i] ** 2 + X.im[i] ** 2 + 1e-12;
-      const syy = Y.re[i] ** 2 + Y.im[i] ** 2 + 1e-12;
-      const hRe = sxyRe / sxx;
-      const hIm = sxyIm / sxx;
+      freqs.push(i * sampleRate / nseg);
+      const pxx = sxx[i] + 1e-12;
+      const pyy = syy[i] + 1e-12;
+      const hRe = sxyRe[i] / pxx;
+      const hIm = sxyIm[i] / pxx;
+      const coh = Math.min(1, (sxyRe[i] ** 2 + sxyIm[i] ** 2) / (pxx * pyy));
       magnitude.push(Math.sqrt(hRe ** 2 + hIm ** 2));
       phase.push(Math.atan2(hIm, hRe));
-      coherence.push((sxyRe ** 2 + sxyIm ** 2) / (sxx * syy));
+      coherence.push(coh);
+      const err = coh > 0 ? Math.sqrt(1 - coh) / (Math.sqrt(coh) * Math.sqrt(2 * effectiveSegments)) : Infinity;
+      gainError.push(err);
+      phaseError.push(Math.min(Math.PI, err));
+    }
+    return {
+      freqs, magnitude, phase, coherence, gainError, phaseError,
+      segmentLength: nseg, segments, effectiveSegments, coherenceThreshold,
+    };
+  },
+
+  /**
+   * Lomb–Scargle periodogram for unevenly sampled data.
+   * AGENT COOKIE CRUMB: An FFT needs a uniform sample clock, and getting one
+   * by interpolating across sampling gaps invents straight lines the user
+   * never drew. Lomb–Scargle is the least-squares fit of a sinusoid at each
+   * frequency to the samples that actually exist. The τ offset makes the
+   * sine and cosine terms orthogonal; the sums are expanded with angle
+   * identities so each (sample, frequency) pair costs one sin and one cos.
+   *
+   * @param {number[]} values - Zero-mean (detrended) samples
+   * @param {number[]} timestamps - ms, any spacing
+   * @param {number[]} freqs - Hz to evaluate
+   * @returns {Object} { freqs, power } — same shape as psd()
+   */
+  lombScargle(values, timestamps, freqs) {
+    const n = Math.min(values.length, timestamps.length);
+    const power = [];
+    for (const f of freqs) {
+      const omega = 2 * Math.PI * f;
+      let yc = 0, ys = 0, c2 = 0, s2 = 0;
+      for (let i = 0; i < n; i++) {
+        const arg = omega * timestamps[i] / 1000;
+        const c = Math.cos(arg), s = Math.sin(arg);
+        yc += values[i] * c;
+        ys += values[i] * s;
+        c2 += c * c - s * s;
+        s2 += 2 * s * c;
+      }
+      const twoWTau = Math.atan2(s2, c2);
+      const ct = Math.cos(twoWTau / 2), st = Math.sin(twoWTau / 2);
+      // Sums shifted by τ: cos(ω(t−τ)) = cos ωt·cos ωτ + sin ωt·sin ωτ
+      const ycTau = yc * ct + ys * st;
+      const ysTau = ys * ct - yc * st;
+      const cc = n / 2 + (c2 * Math.cos(twoWTau) + s2 * Math.sin(twoWTau)) / 2;
+      const ss = n - cc;
+      power.push(0.5 * ((cc > 1e-9 ? ycTau ** 2 / cc : 0) + (ss > 1e-9 ? ysTau ** 2 / ss : 0)) / Math.max(1, n));
     }
-    return { freqs, magnitude, phase, coherence };
+    return { freqs: [...freqs], power };
+  },
+
+  /**
+   * Least-squares transfer function at known frequencies for unevenly
+   * sampled, piecewise-continuous data (embed hover segments).
+   * AGENT COOKIE CRUMB: The perturbation is continuous in hover time but the
+   * cursor response jumps at every element change. The time axis is cut
+   * into equal chunks; in each chunk, sinusoids at ALL `freqs` (fitted
+   * jointly, so closely spaced probes don't leak into each other) plus an
+   * offset and slope PER HOVER SEGMENT are least-squares fitted to input and
+   * output. The nuisance terms absorb the jumps and each hover's drift
+   * without any interpolation. The per-chunk phasors are then averaged like
+   * Welch segments, giving H, coherence and error bounds in the same shape
+   * as transferFunction() — evaluated exactly at `freqs`, with chunkMs in
+   * place of segmentLength. Nuisance columns are bounded: segments with
+   * fewer than minSegmentSamples samples in a chunk are left out (they
+   * would mostly fit their own offset and slope), and only the maxSegments
+   * longest are kept — the solve is cubic in the column count, and a
+   * client that switches element every few samples must not make it grow.
+   *
+   * @param {number[]} input - Perturbation samples
+   * @param {number[]} output - Response samples
+   * @param {number[]} timestamps - ms (hover time), ascending
+   * @param {number[]} segmentIds - Hover segment of each sample
+   * @param {number[]} freqs - Hz; every frequency present in the excitation
+   * @param {Object} [opts]
+   * @param {number} [opts.chunkMs] - Chunk length (default: ~6s, ≥2 chunks)
+   * @param {number} [opts.minSegmentSamples=8] - Shorter hover segments are dropped from a chunk
+   * @param {number} [opts.maxSegments=24] - Hover segments fitted per chunk (longest first)
+   */
+  leastSquaresTransfer(input, output, timestamps, segmentIds, freqs, opts = {}) {
+    const n = Math.min(input.length, output.length, timestamps.length);
+    const span = n > 1 ? timestamps[n - 1] - timestamps[0] : 0;
+    const target = opts.chunkMs || Math.max(Math.min(span / 4, 6000), Math.min(3000, span / 2));
+    const chunks = Math.max(1, Math.floor(span / Math.max(1, target)));
+    const chunkMs = span / chunks;
+    const minSegmentSamples = opts.minSegmentSamples || 8;
+    const maxSegments = opts.maxSegments || 24;
+
+    const nf = freqs.length;
+    const sxx = new Float64Array(nf), syy = new Float64Array(nf);
+    const sxyRe = new Float64Array(nf), sxyIm = new Float64Array(nf);
+    let used = 0, start = 0;
+    for (let k = 0; k < chunks; k++) {
+      const tEnd = timestamps[0] + (k + 1) * chunkMs;
+      let end = start;
+      while (end < n && (timestamps[end] < tEnd || k === chunks - 1)) end++;
+
+      // Columns: [cos, sin] per frequency, then [offset, slope] per kept segment
+      const segCounts = new Map();
+      for (let i = start; i < end; i++) segCounts.set(segmentIds[i], (segCounts.get(segmentIds[i]) || 0) + 1);
+      const kept = [...segCounts].filter(([, count]) => count >= minSegmentSamples)
+        .sort((a, b) => b[1] - a[1]).slice(0, maxSegments);
+      const segCols = new Map();
+      let rows = 0;
+      for (const [id, count] of kept) {
+        segCols.set(id, { col: 2 * nf + 2 * segCols.size, t0: null });
+        rows += count;
+      }
+      const cols = 2 * nf + 2 * segCols.size;
+      if (rows < 2 * cols) { start = end; continue; }
+
+      const ata = Array.from({ length: cols }, () => new Float64Array(cols));
+      const atx = new Float64Array(cols), aty = new Float64Array(cols);
+      const row = new Float64Array(cols);
+      for (let i = start; i < end; i++) {
+        const seg = segCols.get(segmentIds[i]);
+        if (!seg) continue;
+        if (seg.t0 === null) seg.t0 = timestamps[i];
+        row.fill(0);
+        const t = timestamps[i] / 1000;
+        for (let j = 0; j < nf; j++) {
+          const arg = 2 * Math.PI * freqs[j] * t;
+          row[2 * j] = Math.cos(arg);
+          row[2 * j + 1] = Math.sin(arg);
+        }
+        row[seg.col] = 1;
+        row[seg.col + 1] = (timestamps[i] - seg.t0) / 1000;
+        for (let a = 0; a < cols; a++) {
+          if (row[a] === 0) continue;
+          atx[a] += row[a] * input[i];
+          aty[a] += row[a] * output[i];
+          for (let b = 0; b < cols; b++) ata[a][b] += row[a] * row[b];
+        }
+      }
+      for (let a = 0; a < cols; a++) ata[a][a] += 1e-9 * (ata[a][a] + 1);
+      const bx = this.solve(ata, atx);
+      const by = this.solve(ata, aty);
+      if (!bx || !by) { start = end; continue; }
+
+      // a·cos + b·sin = Re{(a − jb)·e^(jωt)}
+      for (let j = 0; j < nf; j++) {
+        const xRe = bx[2 * j], xIm = -bx[2 * j + 1];
+        const yRe = by[2 * j], yIm = -by[2 * j + 1];
+        sxx[j] += xRe * xRe + xIm * xIm;
+        syy[j] += yRe * yRe + yIm * yIm;
+        sxyRe[j] += xRe * yRe + xIm * yIm;
+        sxyIm[j] += xRe * yIm - xIm * yRe;
+      }
+      used++;
+      start = end;
+    }
+
+    const coherenceThreshold = used > 1 ? 1 - Math.pow(0.05, 1 / (used - 1)) : 1;
+    const magnitude = [], phase = [], coherence = [], gainError = [], phaseError = [];
+    for (let j = 0; j < nf; j++) {
+      const pxx = sxx[j] + 1e-12;
+      const pyy = syy[j] + 1e-12;
+      const hRe = sxyRe[j] / pxx;
+      const hIm = sxyIm[j] / pxx;
+      // One chunk can't estimate coherence — it would be 1 by construction
+      const coh = used > 1 ? Math.min(1, (sxyRe[j] ** 2 + sxyIm[j] ** 2) / (pxx * pyy)) : 0;
+      magnitude.push(Math.sqrt(hRe ** 2 + hIm ** 2));
+      phase.push(Math.atan2(hIm, hRe));
+      coherence.push(coh);
+      const err = coh > 0 ? Math.sqrt(1 - coh) / (Math.sqrt(coh) * Math.sqrt(2 * used)) : Infinity;
+      gainError.push(err);
+      phaseError.push(Math.min(Math.PI, err));
+    }
+    return {
+      freqs: [...freqs], magnitude, phase, coherence, gainError, phaseError,
+      chunkMs, segments: used, effectiveSegments: used, coherenceThreshold,
+    };
+  },
+
+  /**
+   * Solve A·x = b by Gaussian elimination with partial pivoting.
+   * A is not modified. Returns null for a singular system.
+   */
+  solve(matrix, rhs) {
+    const n = rhs.length;
+    const a = matrix.map((r, i) => [...r, rhs[i]]);
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+      if (Math.abs(a[pivot][col]) < 1e-12) return null;
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+      for (let r = col + 1; r < n; r++) {
+        const factor = a[r][col] / a[col][col];
+        if (factor === 0) continue;
+        for (let c = col; c <= n; c++) a[r][c] -= factor * a[col][c];
+      }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+      let sum = a[r][n];
+      for (let c = r + 1; c < n; c++) sum -= a[r][c] * x[c];
+      x[r] = sum / a[r][r];
+    }
+    return x;
   },
 
   stats(arr) {
@@ -226,9 +519,8 @@ function computePerturbation(t, trackingStart, probes, pulses, pulseHoldDuration
   // Multi-sine component
   const elapsed = (t - trackingStart) / 1000;
   for (const probe of probes) {
-    const phase = 2 * Math.PI * probe.freq * elapsed;
-    px += probe.ampX * Math.sin(phase);
-    py += probe.ampY * Math.sin(phase + probe.phaseOffset);
+    px += probe.ampX * Math.sin(2 * Math.PI * probe.freq * elapsed);
+    py += probe.ampY * Math.sin(2 * Math.PI * (probe.freqY || probe.freq) * elapsed + probe.phaseOffset);
   }
 
   // Pulse component
@@ -267,7 +559,7 @@ function reconstructTracking(pointer, phases, challenge, canvasSize) {
 
   const tracking = [];
   for (const [t, x, y] of pointer) {
-    if (t < phases.trackingStart) continue; // skip free move
+    if (t < phases.trackingStart) continue; // free move — analyzeFreeMove() reads it from the raw pointer
 
     // Compute pathTime — mirrors PhaseCtrl._tickTracking logic exactly
     let pathTime;
@@ -319,6 +611,75 @@ function resampleTracking(data, targetRate) {
   }));
 }
 
+/**
+ * Hover segment of each embed tracking sample.
+ * AGENT COOKIE CRUMB: Embed tracking is hover segments glued together in
+ * hover time. A new segment starts on an element change, or when hover or
+ * wall time jumps by more than HOVER_GAP_MS (the pointer left and came back
+ * to the same element, or sampling stalled). Across a boundary the cursor
+ * position jumps — nothing that spans one is a movement.
+ */
+const HOVER_GAP_MS = 100;
+
+function hoverSegmentIds(tracking) {
+  const ids = [];
+  let seg = 0;
+  for (let i = 0; i < tracking.length; i++) {
+    if (i > 0) {
+      const prev = tracking[i - 1], cur = tracking[i];
+      const hoverDt = cur.t - prev.t;
+      const wallDt = cur.wallTime !== undefined && prev.wallTime !== undefined ? cur.wallTime - prev.wallTime : hoverDt;
+      if (cur.elementIndex !== prev.elementIndex || hoverDt > HOVER_GAP_MS || wallDt - hoverDt > HOVER_GAP_MS) seg++;
+    }
+    ids.push(seg);
+  }
+  return ids;
+}
+
+/** Embed tracking cut into its hover segments (arrays of samples). */
+function splitHoverSegments(tracking) {
+  const ids = hoverSegmentIds(tracking);
+  const segments = [];
+  let start = 0;
+  for (let i = 1; i <= tracking.length; i++) {
+    if (i < tracking.length && ids[i] === ids[start]) continue;
+    segments.push(tracking.slice(start, i));
+    start = i;
+  }
+  return segments;
+}
+
+/**
+ * Run `build(points)` on each hover segment and concatenate the resulting
+ * { values, timestamps } — the series never crosses a segment boundary.
+ */
+function segmentSeries(tracking, build) {
+  const values = [], timestamps = [];
+  for (const points of splitHoverSegments(tracking)) {
+    const part = build(points);
+    if (part) {
+      values.push(...part.values);
+      timestamps.push(...part.timestamps);
+    }
+  }
+  return { values, timestamps };
+}
+
+/** Remove the least-squares line from `values`. */
+function detrend(values, timestamps) {
+  const { slope, intercept } = MathEngine.linReg(timestamps, values);
+  return values.map((v, i) => v - (slope * timestamps[i] + intercept));
+}
+
+/** Evenly spaced frequency grid [low, high] for Lomb–Scargle, at most ~1/span resolution. */
+function frequencyGrid(low, high, timestamps) {
+  const spanSec = timestamps.length > 1 ? (timestamps[timestamps.length - 1] - timestamps[0]) / 1000 : 0;
+  const step = Math.max(0.1, spanSec > 0 ? 1 / spanSec : 0.1);
+  const freqs = [];
+  for (let f = Math.max(step, low); f <= high; f += step) freqs.push(f);
+  return freqs;
+}
+
 function movingAvg(arr, windowSize) {
   const result = [];
   for (let i = 0; i < arr.length; i++) {
@@ -334,33 +695,79 @@ function movingAvg(arr, windowSize) {
 
 // ─── 8 ANALYSIS PIPELINES ──────────────────────────────────
 
-function analyzeTransferFunction(tracking, sampleRate, probeFreqs) {
-  if (tracking.length < 64) return { valid: false };
-  const resampled = resampleTracking(tracking, sampleRate);
-  if (!resampled || resampled.length < 64) return { valid: false };
-
-  const pertX = resampled.map(d => d.pertX);
-  const cursorMinusSmooth = resampled.map(d => d.x - (d.targetX - d.pertX));
-  const tf = MathEngine.transferFunction(pertX, cursorMinusSmooth, sampleRate);
+/**
+ * Transfer-function estimator over the tracking signals pertX/pertY (input)
+ * and respX/respY (cursor minus the smooth target, i.e. the response).
+ * Default: resample to a uniform clock + Welch. gapAware (embed): the raw
+ * samples with per-hover-segment nuisance terms, least squares at exactly
+ * the probe frequencies — no interpolation across element switches.
+ * @returns {Object|null} { estimate(inputKey, outputKey) }
+ */
+function transferEstimator(tracking, sampleRate, probes, opts = {}) {
+  const samples = opts.gapAware
+    ? tracking.filter((d, i) => i === 0 || d.t > tracking[i - 1].t)
+    : resampleTracking(tracking, sampleRate);
+  if (!samples || samples.length < 64) return null;
+
+  const series = {
+    pertX: samples.map(d => d.pertX),
+    pertY: samples.map(d => d.pertY),
+    respX: samples.map(d => d.x - (d.targetX - d.pertX)),
+    respY: samples.map(d => d.y - (d.targetY - d.pertY)),
+  };
+  if (opts.gapAware) {
+    const timestamps = samples.map(d => d.t);
+    const segmentIds = hoverSegmentIds(samples);
+    // Every excited frequency is fitted, so X and Y probes don't leak into each other
+    const freqs = [...new Set(probes.flatMap(p => (typeof p.freqY === "number" ? [p.freq, p.freqY] : [p.freq])))];
+    return {
+      estimate: (input, output) =>
+        MathEngine.leastSquaresTransfer(series[input], series[output], timestamps, segmentIds, freqs),
+    };
+  }
+  return {
+    estimate: (input, output) => MathEngine.transferFunction(series[input], series[output], sampleRate),
+  };
+}
 
-  const probeResults = [];
-  for (const freq of probeFreqs) {
-    const binIdx = Math.round(freq * tf.freqs.length * 2 / sampleRate);
+/**
+ * Read a transfer-function estimate at each probe frequency.
+ * Probes below two bins (about two cycles per least-squares chunk) can't be
+ * separated from the mean-removal/window skirt at DC — their coherence and
+ * phase are not trusted for delay.
+ */
+function probeEstimates(tf, freqs, sampleRate) {
+  const binWidth = tf.chunkMs ? 1000 / tf.chunkMs : sampleRate / tf.segmentLength;
+  const out = [];
+  for (const freq of freqs) {
+    const binIdx = tf.chunkMs ? tf.freqs.indexOf(freq) : Math.round(freq / binWidth);
     if (binIdx >= 0 && binIdx < tf.magnitude.length) {
-      probeResults.push({ freq, gain: tf.magnitude[binIdx], phase: tf.phase[binIdx], coherence: tf.coherence[binIdx] });
+      const gain = tf.magnitude[binIdx];
+      const phase = tf.phase[binIdx];
+      const gainSpread = 1.96 * tf.gainError[binIdx];
+      const phaseSpread = 1.96 * tf.phaseError[binIdx];
+      out.push({
+        freq, gain, phase, coherence: tf.coherence[binIdx],
+        resolved: freq / binWidth >= 1.5,
+        gainLow: Math.max(0, gain * (1 - gainSpread)),
+        gainHigh: Number.isFinite(gainSpread) ? gain * (1 + gainSpread) : null,
+        phaseLow: phase - phaseSpread,
+        phaseHigh: phase + phaseSpread,
+      });
     }
   }
+  return out;
+}
 
-  let rolloffScore = 0;
-  for (let i = 1; i < probeResults.length; i++) {
-    if (probeResults[i].gain < probeResults[i - 1].gain) rolloffScore++;
-  }
-  const hasRolloff = rolloffScore >= 2;
-
+/**
+ * Coherence-weighted loop delay from the probes that pass the gate.
+ * @returns {Object} { meanDelay (ms, or null), coherentProbes }
+ */
+function probeDelay(probeResults, coherenceGate) {
   const delays = [];
   const coherentProbes = [];
   for (const pr of probeResults) {
-    if (pr.coherence > 0.15 && pr.freq > 0) {
+    if (pr.resolved && pr.coherence > coherenceGate && pr.freq > 0) {
       const delay = -pr.phase / (2 * Math.PI * pr.freq) * 1000;
       if (delay > 0 && delay < 1000) {
         delays.push({ delay, weight: pr.coherence });
@@ -373,24 +780,280 @@ function analyzeTransferFunction(tracking, sampleRate, probeFreqs) {
     const totalW = delays.reduce((a, d) => a + d.weight, 0);
     meanDelay = delays.reduce((a, d) => a + d.delay * d.weight, 0) / totalW;
   }
+  return { meanDelay, coherentProbes };
+}
+
+function median(arr) {
+  if (!arr.length) return null;
+  const sorted = [...arr].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/** First index in `sorted` (ascending by `key`) whose key is ≥ `value`. */
+function lowerBound(sorted, value, key) {
+  let lo = 0, hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (key(sorted[mid]) < value) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {boolean} [opts.gapAware] - Embed: least squares over hover segments instead of resample + Welch
+ */
+function analyzeTransferFunction(tracking, sampleRate, probes, opts = {}) {
+  if (tracking.length < 64) return { valid: false };
+  const spectral = transferEstimator(tracking, sampleRate, probes, opts);
+  if (!spectral) return { valid: false };
+
+  const tf = spectral.estimate("pertX", "respX");
+
+  const probeResults = probeEstimates(tf, probes.map(p => p.freq), sampleRate);
+
+  let rolloffScore = 0;
+  for (let i = 1; i < probeResults.length; i++) {
+    if (probeResults[i].gain < probeResults[i - 1].gain) rolloffScore++;
+  }
+  const hasRolloff = rolloffScore >= 2;
+
+  // Coherent = above the 95% significance level for this many averages
+  const coherenceGate = Math.max(0.15, tf.coherenceThreshold);
+  const { meanDelay, coherentProbes } = probeDelay(probeResults, coherenceGate);
   const hasPhaseDelay = meanDelay !== null && meanDelay > 50;
   const delayPlausible = meanDelay !== null && meanDelay > 30 && meanDelay < 500;
 
-  return { valid: true, probeResults, hasRolloff, hasPhaseDelay, meanDelay, delayPlausible, coherentProbeCount: coherentProbes.length };
+  return {
+    valid: true, probeResults, hasRolloff, hasPhaseDelay, meanDelay, delayPlausible,
+    coherentProbeCount: coherentProbes.length,
+    welchSegments: tf.segments, coherenceThreshold: coherenceGate,
+    mimo: analyzeTransferMatrix(spectral, sampleRate, probes, { probeResults, meanDelay, coherentProbes }),
+  };
 }
 
-function analyzeTremor(tracking, sampleRate) {
-  if (tracking.length < 64 || sampleRate < 20) return { valid: false };
-  const rate = Math.min(sampleRate, 120);
-  const resampled = resampleTracking(tracking, rate);
-  if (!resampled || resampled.length < 64) return { valid: false };
+/**
+ * 2×2 (MIMO) transfer function: X/Y perturbation → X/Y cursor response.
+ * AGENT COOKIE CRUMB: Each probe drives X at `freq` and Y at its own
+ * `freqY` (zippered multisine). At an X frequency the Y input is silent, so
+ * the X-input column (X→X, X→Y) is identified there, and the Y-input column
+ * (Y→Y, Y→X) at the Y frequencies. With X and Y on the SAME frequency the
+ * two inputs are perfectly coherent and the cross terms are not
+ * identifiable — older challenges without freqY return valid: false.
+ *
+ * What it catches:
+ *   - single-axis compensation: X responds coherently, Y's gain is
+ *     confidently near zero (upper 95% bound well below the X gain)
+ *   - mirrored compensation: the same correction applied to both axes,
+ *     so an X input produces an equally large Y output (leakage ≈ 1)
+ *   - perfectly decoupled twins: identical delay and gain on both axes
+ *     with no leakage at all — no arm works like that
+ *
+ * @param {Object} spectral - transferEstimator() of the caller
+ * @param {Object} xAxis - SISO X results already computed by the caller
+ */
+function analyzeTransferMatrix(spectral, sampleRate, probes, xAxis) {
+  const yFreqs = probes.map(p => p.freqY).filter(f => typeof f === "number");
+  if (yFreqs.length !== probes.length || yFreqs.some(f => probes.some(p => p.freq === f))) {
+    return { valid: false, reason: "probe_axes_not_separated" };
+  }
+
+  const tfYY = spectral.estimate("pertY", "respY");
+  const tfXY = spectral.estimate("pertX", "respY"); // X input → Y response
+  const tfYX = spectral.estimate("pertY", "respX"); // Y input → X response
+
+  const xFreqs = probes.map(p => p.freq);
+  const yyProbes = probeEstimates(tfYY, yFreqs, sampleRate);
+  const xyProbes = probeEstimates(tfXY, xFreqs, sampleRate);
+  const yxProbes = probeEstimates(tfYX, yFreqs, sampleRate);
+
+  const coherenceGate = Math.max(0.15, tfYY.coherenceThreshold);
+  const yAxis = probeDelay(yyProbes, coherenceGate);
+
+  // Leakage = |cross| / |direct| pooled over probes where the direct path is
+  // coherent (otherwise it's noise over noise), weighted by that coherence
+  const pooledRatio = (direct, cross) => {
+    let num = 0, den = 0;
+    direct.forEach((pr, i) => {
+      if (!pr.resolved || pr.coherence <= coherenceGate) return;
+      num += pr.coherence * cross[i].gain;
+      den += pr.coherence * pr.gain;
+    });
+    return den > 0 ? num / den : null;
+  };
+  const leakageX = pooledRatio(xAxis.probeResults, xyProbes); // X→Y relative to X→X
+  const leakageY = pooledRatio(yyProbes, yxProbes);             // Y→X relative to Y→Y
+  const leakages = [leakageX, leakageY].filter(v => v !== null);
+  const leakage = leakages.length ? Math.max(...leakages) : null;
+
+  const gainX = median(xAxis.coherentProbes.map(pr => pr.gain));
+  const gainY = median(yAxis.coherentProbes.map(pr => pr.gain));
+  const delayDiff = xAxis.meanDelay !== null && yAxis.meanDelay !== null
+    ? Math.abs(xAxis.meanDelay - yAxis.meanDelay) : null;
+
+  // Single-axis: X clearly tracks, and even the optimistic bound on Y gain is tiny
+  const yGainBound = median(yyProbes.filter(pr => pr.resolved).map(pr => pr.gainHigh ?? Infinity));
+  const singleAxis = xAxis.coherentProbes.length >= 2 && gainX > 0 &&
+    yAxis.coherentProbes.length === 0 && yGainBound !== null && yGainBound < 0.15 * gainX;
+  const mirrored = leakage !== null && leakage > 0.8;
+  const twinAxes = delayDiff !== null && delayDiff < 3 && gainX > 0 && gainY > 0 &&
+    Math.abs(gainX / gainY - 1) < 0.02 && leakage !== null && leakage < 0.01;
+
+  return {
+    valid: true,
+    yProbeResults: yyProbes,
+    crossXtoY: xyProbes,
+    crossYtoX: yxProbes,
+    delayY: yAxis.meanDelay,
+    coherentProbeCountY: yAxis.coherentProbes.length,
+    delayDiff, gainX, gainY, leakageX, leakageY, leakage,
+    singleAxis, mirrored, twinAxes,
+  };
+}
+
+/**
+ * Closed-loop response of the McRuer crossover model at ω (rad/s).
+ * Open loop L = ωc · e^(−jωτ) · F(jω) / (jω), where F is a lead (1 + jωT)
+ * for T ≥ 0 or a lag 1 / (1 + jω|T|) for T < 0. The cursor is a position
+ * control element, so the measured target → cursor response is L / (1 + L).
+ * @returns {Array} [re, im]
+ */
+function crossoverResponse(omega, crossover, delaySec, leadLag) {
+  // L = ωc / (jω) · e^(−jωτ) = (ωc/ω) · e^(−j(ωτ + π/2))
+  const angle = -(omega * delaySec + Math.PI / 2);
+  let re = (crossover / omega) * Math.cos(angle);
+  let im = (crossover / omega) * Math.sin(angle);
+  const wt = omega * Math.abs(leadLag);
+  if (leadLag >= 0) {
+    // × (1 + jωT)
+    [re, im] = [re - im * wt, im + re * wt];
+  } else {
+    // ÷ (1 + jωT)
+    const d = 1 + wt * wt;
+    [re, im] = [(re + im * wt) / d, (im - re * wt) / d];
+  }
+  // H = L / (1 + L)
+  const dRe = 1 + re, dIm = im;
+  const d = dRe * dRe + dIm * dIm;
+  return [(re * dRe + im * dIm) / d, (im * dRe - re * dIm) / d];
+}
+
+/**
+ * Fit a McRuer crossover model to the coherent X probes.
+ *
+ * AGENT COOKIE CRUMB: The rolloff/delay heuristics only ask "does gain fall
+ * and phase lag?". A human operator closing a visual loop around a cursor
+ * behaves like ωc · e^(−jωτe) / (jω) near crossover (McRuer & Jex), so we
+ * fit crossover frequency ωc, effective delay τe and one lead/lag time
+ * constant to the complex probe responses. Coarse grid, then a shrinking
+ * pattern search — three parameters over ≤ a handful of probes is cheap.
+ * A replay or synthetic controller either can't be fitted (fitQuality low)
+ * or fits with parameters no nervous system has (τe ≈ 0, ωc huge).
+ *
+ * @param {Object} tf - analyzeTransferFunction() result
+ * @returns {Object} { valid, crossover (rad/s), effectiveDelay (ms), leadLag (s), fitQuality, probeCount }
+ */
+function fitOperatorModel(tf) {
+  if (!tf || !tf.valid) return { valid: false };
+  const points = tf.probeResults
+    .filter(pr => pr.resolved && pr.coherence > tf.coherenceThreshold && pr.freq > 0)
+    .map(pr => ({
+      omega: 2 * Math.PI * pr.freq,
+      re: pr.gain * Math.cos(pr.phase),
+      im: pr.gain * Math.sin(pr.phase),
+      w: pr.coherence,
+    }));
+  // Three real parameters need more than one complex point to mean anything
+  if (points.length < 3) return { valid: false, probeCount: points.length };
+
+  const cost = (crossover, delaySec, leadLag) => {
+    let c = 0;
+    for (const p of points) {
+      const [re, im] = crossoverResponse(p.omega, crossover, delaySec, leadLag);
+      c += p.w * ((re - p.re) ** 2 + (im - p.im) ** 2);
+    }
+    return c;
+  };
+
+  let best = { crossover: 1, delaySec: 0, leadLag: 0, cost: Infinity };
+  for (let ci = 0; ci <= 48; ci++) {
+    const crossover = 0.5 * Math.pow(120, ci / 48); // 0.5 … 60 rad/s, log-spaced
+    for (let delaySec = 0; delaySec <= 0.6; delaySec += 0.01) {
+      for (let leadLag = -0.4; leadLag <= 0.4001; leadLag += 0.025) {
+        const c = cost(crossover, delaySec, leadLag);
+        if (c < best.cost) best = { crossover, delaySec, leadLag, cost: c };
+      }
+    }
+  }
 
-  const velX = MathEngine.velocity(resampled.map(d => d.x), resampled.map(d => d.t));
-  const velY = MathEngine.velocity(resampled.map(d => d.y), resampled.map(d => d.t));
+  // Pattern search around the grid optimum
+  let steps = [best.crossover * 0.1, 0.005, 0.0125];
+  for (let iter = 0; iter < 40; iter++) {
+    let improved = false;
+    for (let k = 0; k < 3; k++) {
+      for (const dir of [-1, 1]) {
+        const trial = [best.crossover, best.delaySec, best.leadLag];
+        trial[k] += dir * steps[k];
+        if (trial[0] <= 0 || trial[0] > 200 || trial[1] < 0 || Math.abs(trial[2]) > 1) continue;
+        const c = cost(trial[0], trial[1], trial[2]);
+        if (c < best.cost) {
+          best = { crossover: trial[0], delaySec: trial[1], leadLag: trial[2], cost: c };
+          improved = true;
+        }
+      }
+    }
+    if (!improved) steps = steps.map(s => s / 2);
+  }
+
+  const energy = points.reduce((a, p) => a + p.w * (p.re * p.re + p.im * p.im), 0);
+  const fitQuality = energy > 0 ? Math.max(0, 1 - best.cost / energy) : 0;
+
+  return {
+    valid: true,
+    crossover: best.crossover,
+    effectiveDelay: best.delaySec * 1000,
+    leadLag: best.leadLag,
+    fitQuality,
+    probeCount: points.length,
+  };
+}
+
+/**
+ * Speed residual (speed minus its ~1/3s moving average) — the tremor carrier.
+ */
+function speedResidual(points, windowSize) {
+  const velX = MathEngine.velocity(points.map(d => d.x), points.map(d => d.t));
+  const velY = MathEngine.velocity(points.map(d => d.y), points.map(d => d.t));
   const speed = velX.map((vx, i) => Math.sqrt(vx ** 2 + (velY[i] || 0) ** 2));
-  const smoothed = movingAvg(speed, Math.round(rate / 3));
-  const residual = speed.map((s, i) => s - (smoothed[i] || 0));
-  const psdResult = MathEngine.psd(residual, rate);
+  const smoothed = movingAvg(speed, windowSize);
+  return speed.map((s, i) => s - (smoothed[i] || 0));
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {boolean} [opts.gapAware] - Embed: per-hover residuals + Lomb–Scargle instead of resample + FFT
+ */
+function analyzeTremor(tracking, sampleRate, opts = {}) {
+  if (tracking.length < 64 || sampleRate < 20) return { valid: false };
+  const rate = Math.min(sampleRate, 120);
+  let psdResult;
+  if (opts.gapAware) {
+    const windowSize = Math.round(sampleRate / 3);
+    const series = segmentSeries(tracking, points => {
+      if (points.length < 2 * windowSize) return null;
+      const moving = points.filter((d, i) => i === 0 || d.t > points[i - 1].t);
+      const residual = speedResidual(moving, windowSize);
+      const timestamps = moving.slice(1).map((d, i) => (d.t + moving[i].t) / 2);
+      return { values: detrend(residual, timestamps), timestamps };
+    });
+    if (series.values.length < 64) return { valid: false };
+    psdResult = MathEngine.lombScargle(series.values, series.timestamps, frequencyGrid(0, rate / 2, series.timestamps));
+  } else {
+    const resampled = resampleTracking(tracking, rate);
+    if (!resampled || resampled.length < 64) return { valid: false };
+    psdResult = MathEngine.psd(speedResidual(resampled, Math.round(rate / 3)), rate);
+  }
 
   let tremorPower = 0, totalPower = 0, peakFreq = 0, peakPow = 0;
   for (let i = 0; i < psdResult.freqs.length; i++) {
@@ -434,14 +1097,35 @@ function analyzeAccelTremor(accel) {
   return { valid: true, tremorRatio: totalPower > 0 ? tremorPower / totalPower : 0, peakFrequency: peakFreq, sampleRate: rate, sampleCount: accel.length };
 }
 
-function analyze1fNoise(tracking, sampleRate) {
+/**
+ * @param {Object} [opts]
+ * @param {boolean} [opts.gapAware] - Embed: per-hover detrended error velocity + Lomb–Scargle
+ */
+function analyze1fNoise(tracking, sampleRate, opts = {}) {
   if (tracking.length < 128) return { valid: false };
-  const resampled = resampleTracking(tracking, sampleRate);
-  if (!resampled || resampled.length < 128) return { valid: false };
-  const errorX = resampled.map(d => d.x - d.targetX);
-  const errorVelX = MathEngine.velocity(errorX, resampled.map(d => d.t));
-  if (errorVelX.length < 64) return { valid: false };
-  const psdResult = MathEngine.psd(errorVelX, sampleRate);
+  let psdResult;
+  if (opts.gapAware) {
+    const series = segmentSeries(tracking, points => {
+      const moving = points.filter((d, i) => i === 0 || d.t > points[i - 1].t);
+      if (moving.length < 8) return null;
+      const t = moving.map(d => d.t);
+      const errorX = detrend(moving.map(d => d.x - d.targetX), t);
+      const errorVelX = MathEngine.velocity(errorX, t);
+      const timestamps = t.slice(1).map((ti, i) => (ti + t[i]) / 2);
+      return { values: detrend(errorVelX, timestamps), timestamps };
+    });
+    if (series.values.length < 64) return { valid: false };
+    // sampleRate is client-derived — cap the grid like analyzeTremor does
+    const gridTop = Math.min(sampleRate, 120) / 4;
+    psdResult = MathEngine.lombScargle(series.values, series.timestamps, frequencyGrid(0.3, gridTop, series.timestamps));
+  } else {
+    const resampled = resampleTracking(tracking, sampleRate);
+    if (!resampled || resampled.length < 128) return { valid: false };
+    const errorX = resampled.map(d => d.x - d.targetX);
+    const errorVelX = MathEngine.velocity(errorX, resampled.map(d => d.t));
+    if (errorVelX.length < 64) return { valid: false };
+    psdResult = MathEngine.psd(errorVelX, sampleRate);
+  }
   const logF = [], logP = [];
   for (let i = 0; i < psdResult.freqs.length; i++) {
     const f = psdResult.freqs[i], p = psdResult.power[i];
@@ -453,6 +1137,201 @@ function analyze1fNoise(tracking, sampleRate) {
   return { valid: true, slope: reg.slope, r2: reg.r2 };
 }
 
+/**
+ * Detrended fluctuation analysis of the tracking-error velocity.
+ * AGENT COOKIE CRUMB: The 1/f metric reads a slope off ONE periodogram —
+ * every bin is a χ² variable with two degrees of freedom, so on 8–15s of
+ * embed data the slope wanders, and shaped noise hits any slope you like.
+ * DFA integrates the series, detrends it in boxes of n samples and measures
+ * how the RMS residual F(n) grows with n: F ∝ n^α. White noise gives α =
+ * 0.5, 1/f noise α = 1, a random walk 1.5. Boxes never straddle a series,
+ * so every hover segment (and both axes) contributes its own boxes to one
+ * pooled F(n) — short segments only limit the largest box size.
+ *
+ * @param {number[][]} seriesList - Evenly sampled series (one per segment/axis)
+ * @returns {Object} { valid, alpha, r2, scales, boxes }
+ */
+function dfaExponent(seriesList) {
+  const profiles = seriesList.filter(s => s.length >= 16).map(s => {
+    const mean = s.reduce((a, b) => a + b, 0) / s.length;
+    let acc = 0;
+    return s.map(v => (acc += v - mean));
+  });
+  const total = profiles.reduce((a, p) => a + p.length, 0);
+  if (!profiles.length) return { valid: false };
+
+  const logN = [], logF = [];
+  let boxes = 0;
+  for (let n = 4; n <= total / 8; n = Math.max(n + 1, Math.round(n * 1.25))) {
+    let sumSq = 0, count = 0;
+    for (const profile of profiles) {
+      for (let start = 0; start + n <= profile.length; start += n) {
+        const xs = [], ys = [];
+        for (let i = 0; i < n; i++) { xs.push(i); ys.push(profile[start + i]); }
+        const { slope, intercept } = MathEngine.linReg(xs, ys);
+        for (let i = 0; i < n; i++) sumSq += (ys[i] - (slope * i + intercept)) ** 2;
+        count++;
+      }
+    }
+    if (count < 8) break; // too few boxes for a stable F(n)
+    const fluctuation = Math.sqrt(sumSq / (count * n));
+    if (fluctuation > 0) { logN.push(Math.log10(n)); logF.push(Math.log10(fluctuation)); }
+    boxes += count;
+  }
+  if (logN.length < 4) return { valid: false };
+  const reg = MathEngine.linReg(logN, logF);
+  return { valid: true, alpha: reg.slope, r2: reg.r2, scales: logN.length, boxes };
+}
+
+/**
+ * DFA scaling exponent of the X/Y tracking-error velocity — over the whole
+ * resampled record (standalone) or per hover segment (gapAware, embed).
+ * Embed samples arrive on the event clock, irregularly spaced, so each
+ * segment is resampled onto DFA_EMBED_RATE first: a box of n samples is
+ * then the same time span on every device. Only the newest
+ * DFA_MAX_POINTS resampled points (per axis, across segments) are used —
+ * the resampled length follows the time span the client claims.
+ */
+const DFA_EMBED_RATE = 60;
+const DFA_MAX_POINTS = 6000;
+
+function analyzeDFA(tracking, sampleRate, opts = {}) {
+  if (tracking.length < 128) return { valid: false };
+  const errorVelocities = points => {
+    const t = points.map(d => d.t);
+    return ["x", "y"].map(axis => {
+      const target = axis === "x" ? "targetX" : "targetY";
+      return MathEngine.velocity(points.map(d => d[axis] - d[target]), t);
+    });
+  };
+  let seriesList;
+  if (opts.gapAware) {
+    const segments = splitHoverSegments(tracking)
+      .map(points => points.filter((d, i) => i === 0 || d.t > points[i - 1].t));
+    seriesList = [];
+    let budget = DFA_MAX_POINTS;
+    for (let i = segments.length - 1; i >= 0 && budget >= 16; i--) {
+      // Newest first; trim before resampling so a long claimed span costs nothing
+      const from = segments[i][segments[i].length - 1].t - budget * 1000 / DFA_EMBED_RATE;
+      const points = segments[i].filter(d => d.t >= from);
+      const resampled = resampleTracking(points, DFA_EMBED_RATE);
+      if (!resampled || resampled.length < 16) continue;
+      if (resampled.length > budget) resampled.splice(0, resampled.length - budget);
+      budget -= resampled.length;
+      seriesList.push(...errorVelocities(resampled));
+    }
+  } else {
+    const resampled = resampleTracking(tracking, sampleRate);
+    if (!resampled || resampled.length < 128) return { valid: false };
+    seriesList = errorVelocities(resampled);
+  }
+  return dfaExponent(seriesList);
+}
+
+/**
+ * Sample entropy SampEn(m, r) pooled over several series: template pairs
+ * are only counted within a series, never across a boundary.
+ * @returns {number|null} −ln(A/B), or null when there are no matches to count
+ */
+function sampleEntropy(seriesList, m, r) {
+  let a = 0, b = 0;
+  for (const s of seriesList) {
+    const n = s.length - m;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        let k = 0;
+        while (k < m && Math.abs(s[i + k] - s[j + k]) <= r) k++;
+        if (k < m) continue;
+        b++;
+        if (Math.abs(s[i + m] - s[j + m]) <= r) a++;
+      }
+    }
+  }
+  return a > 0 && b > 0 ? -Math.log(a / b) : null;
+}
+
+/**
+ * Multiscale sample entropy of one signal (Costa et al.): coarse-grain by
+ * averaging τ consecutive samples, SampEn(2, 0.15·SD) at each τ, with r
+ * fixed from the scale-1 series.
+ * @returns {Object|null} { profile, mean, slope }
+ */
+function multiscaleEntropy(seriesList, maxScale) {
+  const pooled = seriesList.flat();
+  const sd = MathEngine.stats(pooled).std;
+  if (sd <= 0) return null;
+  const r = 0.15 * sd;
+  const scales = [], profile = [];
+  for (let tau = 1; tau <= maxScale; tau++) {
+    const coarse = seriesList.map(s => {
+      const out = [];
+      for (let i = 0; i + tau <= s.length; i += tau) {
+        let sum = 0;
+        for (let k = 0; k < tau; k++) sum += s[i + k];
+        out.push(sum / tau);
+      }
+      return out;
+    }).filter(s => s.length > 3);
+    if (coarse.reduce((acc, s) => acc + s.length, 0) < 60) break;
+    const sampEn = sampleEntropy(coarse, 2, r);
+    if (sampEn === null) break;
+    scales.push(tau);
+    profile.push(sampEn);
+  }
+  if (profile.length < 3) return null;
+  return {
+    profile,
+    mean: profile.reduce((acc, v) => acc + v, 0) / profile.length,
+    slope: MathEngine.linReg(scales, profile).slope,
+  };
+}
+
+/**
+ * Multiscale entropy of the tracking error and the cursor velocity (X and Y
+ * series pooled), on a fixed ENTROPY_RATE clock so scales mean the same
+ * time span on a 60Hz touch screen and a 1000Hz gaming mouse.
+ * AGENT COOKIE CRUMB: Entropy answers "how predictable is the next sample
+ * from the last two, at 17ms … 83ms resolution?" A human is in between at
+ * every scale. Added white noise is unpredictable at scale 1 and averages
+ * away (steep negative slope); a replay or PID loop is smooth at fine
+ * scales (near-zero entropy). gapAware (embed) resamples each hover segment
+ * on its own — nothing is interpolated across an element switch.
+ * SampEn is O(n²) in the resampled length, and that length follows the time
+ * span the client claims — only the newest ENTROPY_MAX_POINTS resampled
+ * points (per axis, across segments) are analysed.
+ */
+const ENTROPY_RATE = 60;
+const ENTROPY_MAX_SCALE = 5;
+const ENTROPY_MAX_POINTS = 2000;
+
+function analyzeEntropy(tracking, sampleRate, opts = {}) {
+  if (tracking.length < 128) return { valid: false };
+  const segments = opts.gapAware
+    ? splitHoverSegments(tracking).map(points => points.filter((d, i) => i === 0 || d.t > points[i - 1].t))
+    : [tracking];
+  const errorSeries = [], velocitySeries = [];
+  let budget = ENTROPY_MAX_POINTS;
+  for (let i = segments.length - 1; i >= 0 && budget >= 16; i--) {
+    // Newest first; trim before resampling so a long claimed span costs nothing
+    const from = segments[i][segments[i].length - 1].t - budget * 1000 / ENTROPY_RATE;
+    const points = segments[i].filter(d => d.t >= from);
+    if (points.length < 16) continue;
+    const resampled = resampleTracking(points, ENTROPY_RATE);
+    if (!resampled || resampled.length < 16) continue;
+    if (resampled.length > budget) resampled.splice(0, resampled.length - budget);
+    budget -= resampled.length;
+    const t = resampled.map(d => d.t);
+    for (const [axis, target] of [["x", "targetX"], ["y", "targetY"]]) {
+      errorSeries.push(detrend(resampled.map(d => d[axis] - d[target]), t));
+      velocitySeries.push(MathEngine.velocity(resampled.map(d => d[axis]), t));
+    }
+  }
+  const error = multiscaleEntropy(errorSeries, ENTROPY_MAX_SCALE);
+  const velocity = multiscaleEntropy(velocitySeries, ENTROPY_MAX_SCALE);
+  if (!error || !velocity) return { valid: false };
+  return { valid: true, error, velocity };
+}
+
 function analyzeSignalDepNoise(tracking) {
   if (tracking.length < 100) return { valid: false };
   const windowSize = 15;
@@ -597,6 +1476,162 @@ function analyzeMinJerk(pulseResult) {
   return { valid: true, meanR2: MathEngine.stats(r2Values).mean, r2Values };
 }
 
+/**
+ * Kinematics of the unconstrained free-move phase (before trackingStart).
+ * AGENT COOKIE CRUMB: The free-move samples used to be discarded. Nothing
+ * is perturbed there, so this is evidence that doesn't depend on the
+ * perturbation at all — three classic regularities of voluntary movement:
+ *   - two-thirds power law: speed ∝ curvature^(−1/3) (Lacquaniti et al.) —
+ *     the hand slows in bends. Bézier/spline bots move at a speed that is
+ *     unrelated to curvature (β ≈ 0); straight-line bots have no curvature
+ *   - bell-shaped speed profiles: each submovement rises and falls like the
+ *     minimum-jerk bell 30τ²(1−τ)²; constant-speed interpolation has none
+ *   - submovement structure: a few velocity peaks per second of movement
+ * Resampled to FREE_MOVE_RATE and lightly smoothed so the second
+ * derivative (curvature) isn't pure quantization noise.
+ *
+ * @param {Array} pointer - Raw [[t, x, y], ...] including the free-move phase
+ * @param {Object} phases - { trackingStart, ... }
+ */
+const FREE_MOVE_RATE = 60;
+const FREE_MOVE_MIN_SPEED = 30; // px/s — below this the pointer is resting
+
+function analyzeFreeMove(pointer, phases) {
+  const samples = pointer.filter((p, i) => p[0] < phases.trackingStart && (i === 0 || p[0] > pointer[i - 1][0]));
+  if (samples.length < 60) return { valid: false };
+  const t = samples.map(p => p[0]);
+  const x = movingAvg(MathEngine.resample(samples.map(p => p[1]), t, FREE_MOVE_RATE).values, 5);
+  const y = movingAvg(MathEngine.resample(samples.map(p => p[2]), t, FREE_MOVE_RATE).values, 5);
+  const dt = 1 / FREE_MOVE_RATE;
+
+  const speed = [0], logSpeed = [], logCurv = [];
+  let pathLength = 0, movingSamples = 0;
+  for (let i = 1; i < x.length - 1; i++) {
+    const vx = (x[i + 1] - x[i - 1]) / (2 * dt), vy = (y[i + 1] - y[i - 1]) / (2 * dt);
+    const ax = (x[i + 1] - 2 * x[i] + x[i - 1]) / (dt * dt), ay = (y[i + 1] - 2 * y[i] + y[i - 1]) / (dt * dt);
+    const v = Math.sqrt(vx * vx + vy * vy);
+    speed.push(v);
+    pathLength += v * dt;
+    if (v < FREE_MOVE_MIN_SPEED) continue;
+    movingSamples++;
+    const curvature = Math.abs(vx * ay - vy * ax) / (v * v * v);
+    // Radius of curvature 1px … 10000px; beyond that it's a straight line (or noise)
+    if (curvature > 1e-4 && curvature < 1) {
+      logSpeed.push(Math.log10(v));
+      logCurv.push(Math.log10(curvature));
+    }
+  }
+  speed.push(0);
+  const movingTime = movingSamples * dt;
+  if (movingTime < 1 || pathLength < 100) return { valid: false };
+
+  // Power law: log v = log K − β·log κ
+  let beta = null, powerLawR2 = 0;
+  if (logCurv.length >= 30) {
+    const reg = MathEngine.linReg(logCurv, logSpeed);
+    beta = -reg.slope;
+    powerLawR2 = reg.r2;
+  }
+
+  // Submovements: speed between consecutive local minima, with a clear peak
+  const minima = [0];
+  for (let i = 1; i < speed.length - 1; i++) {
+    if (speed[i] <= speed[i - 1] && speed[i] < speed[i + 1]) minima.push(i);
+  }
+  minima.push(speed.length - 1);
+  const bellR2 = [];
+  for (let k = 1; k < minima.length; k++) {
+    const a = minima[k - 1], b = minima[k];
+    if (b - a < 6) continue; // < 100ms
+    let peak = 0;
+    for (let i = a; i <= b; i++) peak = Math.max(peak, speed[i]);
+    if (peak < FREE_MOVE_MIN_SPEED || peak < 1.5 * Math.max(speed[a], speed[b])) continue;
+    // Fit amplitude of the min-jerk bell on top of the line joining the two minima
+    let num = 0, den = 0;
+    const excess = [], bell = [];
+    for (let i = a; i <= b; i++) {
+      const tau = (i - a) / (b - a);
+      excess.push(speed[i] - (speed[a] + (speed[b] - speed[a]) * tau));
+      bell.push(30 * tau * tau * (1 - tau) * (1 - tau));
+    }
+    for (let i = 0; i < bell.length; i++) { num += excess[i] * bell[i]; den += bell[i] * bell[i]; }
+    const amp = den > 0 ? num / den : 0;
+    const mean = excess.reduce((acc, v) => acc + v, 0) / excess.length;
+    let ssRes = 0, ssTot = 0;
+    for (let i = 0; i < bell.length; i++) {
+      ssRes += (excess[i] - amp * bell[i]) ** 2;
+      ssTot += (excess[i] - mean) ** 2;
+    }
+    bellR2.push(ssTot > 1e-10 ? Math.max(0, 1 - ssRes / ssTot) : 0);
+  }
+
+  return {
+    valid: true,
+    beta, powerLawR2, curvedSamples: logCurv.length,
+    submovements: bellR2.length,
+    submovementRate: bellR2.length / movingTime,
+    meanBellR2: bellR2.length ? MathEngine.stats(bellR2).mean : null,
+    movingTime, pathLength,
+  };
+}
+
+
+/**
+ * Implausibly perfect probe response.
+ * AGENT COOKIE CRUMB: The perturbation is on the page, so a script can read
+ * it back (style, computed style, bounding rect) and "respond" with a copy
+ * shifted by a believable delay. That copy is too good: the same gain at
+ * every probe where a human rolls off, a phase that is one pure delay
+ * across the band where a human loop (crossover model) bends, and
+ * coherence ≈ 1 where motor noise always leaves some. Flat gain plus
+ * either of the others, judged on enough resolved probes including a fast
+ * one, is a replay — a clean, fast human can show a near-pure delay and
+ * high coherence (below crossover the phase is close to linear), but not
+ * without rolling off. Flatness is the slope of log gain over log
+ * frequency, not the distance from 1 — scaling the copy doesn't make it
+ * roll off. Coherence
+ * is a median and the worst phase is dropped from four probes up:
+ * neighbouring probes leak into each other, and a single skewed estimate
+ * shouldn't clear a replay.
+ *
+ * @param {Object} tf - analyzeTransferFunction() result
+ * @returns {Object} { detected, flags: ['flat_gain' | 'constant_lag' | 'noiseless'], lagMs, probeCount, gainSlope }
+ */
+function detectPerfectResponse(tf) {
+  const cfg = ScoringConfig.perfectResponse;
+  const none = { detected: false, flags: [], lagMs: null, probeCount: 0, gainSlope: null };
+  if (!tf || !tf.valid) return none;
+  const probes = tf.probeResults.filter(p =>
+    p.resolved && p.gain > 0 && p.freq >= cfg.minFreqHz && p.coherence > tf.coherenceThreshold);
+  if (probes.length < cfg.minProbes || !probes.some(p => p.freq >= cfg.highFreqHz)) {
+    return { ...none, probeCount: probes.length };
+  }
+
+  // Best single delay: phase_i ≈ −2π f_i τ (mod 2π) for every probe
+  const wrap = a => Math.atan2(Math.sin(a), Math.cos(a));
+  const keep = probes.length >= 4 ? probes.length - 1 : probes.length;
+  let bestLag = 0, bestResidual = Infinity;
+  for (let lagMs = 0; lagMs <= 1000; lagMs++) {
+    const residuals = probes.map(p => Math.abs(wrap(p.phase + 2 * Math.PI * p.freq * lagMs / 1000)))
+      .sort((a, b) => a - b);
+    if (residuals[keep - 1] < bestResidual) { bestResidual = residuals[keep - 1]; bestLag = lagMs; }
+  }
+
+  const gainSlope = MathEngine.linReg(probes.map(p => Math.log10(p.freq)), probes.map(p => Math.log10(p.gain))).slope;
+
+  const flags = [];
+  if (gainSlope > cfg.flatGainSlope) flags.push('flat_gain');
+  if (bestResidual < cfg.lagResidualMax) flags.push('constant_lag');
+  if (median(probes.map(p => p.coherence)) >= cfg.coherenceMin) flags.push('noiseless');
+  return {
+    detected: flags.includes('flat_gain') && flags.length >= 2,
+    flags,
+    lagMs: flags.includes('constant_lag') ? bestLag : null,
+    probeCount: probes.length,
+    gainSlope,
+  };
+}
+
 
 // ─── SCORER ─────────────────────────────────────────────────
 
@@ -608,7 +1643,110 @@ function rangeScore(value, low, high, steepness = 5) {
   return Math.min(1, sigmoid(value, low, steepness) * sigmoid(value, high, -steepness) * 4);
 }
 
-function scoreResults(results, inputMethod) {
+/**
+ * Two-axis (MIMO) sub-score, folded into the transfer-function metric.
+ * Averages whichever of delay agreement and cross-axis leakage could be
+ * measured; a detected bot pattern scores 0 outright.
+ * @returns {Object|null} { score, detail }, or null when there is nothing to score
+ */
+function scoreTransferMatrix(mimo) {
+  if (!mimo || !mimo.valid) return null;
+  if (mimo.singleAxis) return { score: 0, detail: 'single-axis compensation' };
+  if (mimo.mirrored) return { score: 0, detail: `mirrored axes (leakage ${mimo.leakage.toFixed(2)})` };
+  if (mimo.twinAxes) return { score: 0, detail: 'identical decoupled axes' };
+
+  const parts = [], details = [];
+  if (mimo.delayDiff !== null) {
+    const maxDiff = ScoringConfig.humanAxisDelayDiffMax;
+    parts.push(mimo.delayDiff <= maxDiff ? 1 : Math.max(0, 1 - (mimo.delayDiff - maxDiff) / 150));
+    details.push(`X/Y delay Δ ${mimo.delayDiff.toFixed(0)}ms`);
+  }
+  if (mimo.leakage !== null) {
+    const [lo, hi] = ScoringConfig.humanAxisLeakageRange;
+    parts.push(mimo.leakage < lo ? mimo.leakage / lo : mimo.leakage <= hi ? 1 : Math.max(0, 1 - (mimo.leakage - hi) / 0.2));
+    details.push(`leakage ${mimo.leakage.toFixed(2)}`);
+  }
+  if (!parts.length) return null;
+  return { score: parts.reduce((a, b) => a + b, 0) / parts.length, detail: details.join(', ') };
+}
+
+/**
+ * Crossover-model metric: how well the fit explains the probes, times how
+ * human its parameters are. A clean fit with inhuman parameters (the
+ * zero-delay tracker) keeps only a small share of the score.
+ * @returns {Object} { score, detail }
+ */
+function scoreOperatorModel(model) {
+  const fitMin = ScoringConfig.humanModelFitMin;
+  const fitScore = Math.max(0, Math.min(1, (model.fitQuality - fitMin * 0.6) / (fitMin * 0.8)));
+  const [cLo, cHi] = ScoringConfig.humanCrossoverRange;
+  const [dLo, dHi] = ScoringConfig.humanEffectiveDelayRange;
+  const [lLo, lHi] = ScoringConfig.humanLeadLagRange;
+  const paramScore = rangeScore(model.crossover, cLo, cHi, 2) *
+    rangeScore(model.effectiveDelay, dLo, dHi, 0.04) *
+    rangeScore(model.leadLag, lLo, lHi, 20);
+  return {
+    score: fitScore * (0.3 + 0.7 * paramScore),
+    detail: `ωc ${model.crossover.toFixed(1)} rad/s, τe ${model.effectiveDelay.toFixed(0)}ms, ` +
+      `T ${model.leadLag >= 0 ? '+' : ''}${model.leadLag.toFixed(2)}s, fit ${(model.fitQuality * 100).toFixed(0)}% (${model.probeCount} probes)`,
+  };
+}
+
+/**
+ * Multiscale-entropy metric against the input device's human ranges: mean
+ * level and slope across scales, for both the error and the velocity.
+ * @returns {Object} { score, detail }
+ */
+function scoreEntropy(entropy, inputMethod) {
+  const ranges = ScoringConfig.humanEntropyRanges[inputMethod] || ScoringConfig.humanEntropyRanges.mouse;
+  const parts = [];
+  for (const signal of [entropy.error, entropy.velocity]) {
+    parts.push(rangeScore(signal.mean, ranges.mean[0], ranges.mean[1], 8));
+    parts.push(rangeScore(signal.slope, ranges.slope[0], ranges.slope[1], 40));
+  }
+  const fmt = sig => `${sig.mean.toFixed(2)} (${sig.slope >= 0 ? '+' : ''}${sig.slope.toFixed(2)}/scale)`;
+  return {
+    score: parts.reduce((a, b) => a + b, 0) / parts.length,
+    detail: `Error SampEn: ${fmt(entropy.error)}, Velocity SampEn: ${fmt(entropy.velocity)}, ${entropy.error.profile.length} scales`,
+  };
+}
+
+/**
+ * Free-move metric: mean of power-law, bell-shape and submovement-rate
+ * scores. A part that can't be measured (no curvature, fewer than two
+ * clear velocity peaks) scores 0 — moving 1s+ without either isn't a hand.
+ * @returns {Object} { score, detail }
+ */
+function scoreFreeMove(fm) {
+  const [bLo, bHi] = ScoringConfig.humanPowerLawBetaRange;
+  const [rLo, rHi] = ScoringConfig.humanSubmovementRate;
+  const powerLaw = fm.beta === null ? 0 : rangeScore(fm.beta, bLo, bHi, 40) * Math.min(1, fm.powerLawR2 / 0.3);
+  const bell = fm.submovements < 2 ? 0 : Math.min(1, fm.meanBellR2 / ScoringConfig.humanBellR2Min);
+  const rate = rangeScore(fm.submovementRate, rLo, rHi, 8);
+  const betaStr = fm.beta === null ? 'N/A' : `${fm.beta.toFixed(2)} (R² ${fm.powerLawR2.toFixed(2)})`;
+  const bellStr = fm.meanBellR2 === null ? 'N/A' : fm.meanBellR2.toFixed(2);
+  return {
+    score: (powerLaw + bell + rate) / 3,
+    detail: `Power-law β: ${betaStr}, Bell R²: ${bellStr}, ` +
+      `${fm.submovements} submovements (${fm.submovementRate.toFixed(1)}/s over ${fm.movingTime.toFixed(1)}s)`,
+  };
+}
+
+/**
+ * Fitted crossover parameters for the session log (population priors).
+ */
+function operatorModelSummary(model) {
+  if (!model || !model.valid) return null;
+  return {
+    crossover: Number(model.crossover.toFixed(3)),
+    effectiveDelay: Number(model.effectiveDelay.toFixed(1)),
+    leadLag: Number(model.leadLag.toFixed(3)),
+    fitQuality: Number(model.fitQuality.toFixed(3)),
+    probeCount: model.probeCount,
+  };
+}
+
+function scoreResults(results, inputMethod, thresholds = {}) {
   const scores = {};
   let weightedSum = 0, totalWeight = 0, validCount = 0;
   const W = ScoringConfig.weights;
@@ -621,9 +1759,12 @@ function scoreResults(results, inputMethod) {
     if (tf.hasPhaseDelay) s += 0.15;
     if (tf.delayPlausible) s += 0.15;
     s = Math.min(1, s);
+    const twoAxis = scoreTransferMatrix(tf.mimo);
+    if (twoAxis) s = 0.7 * s + 0.3 * twoAxis.score;
     const delayStr = tf.meanDelay !== null ? `${tf.meanDelay.toFixed(0)}ms` : 'N/A';
     scores.transferFn = { score: s, weight: W.transferFn, label: 'Transfer Function',
-      detail: `Gain rolloff: ${tf.hasRolloff ? 'YES' : 'NO'}, Est. delay: ${delayStr} (${tf.coherentProbeCount} coherent probes)` };
+      detail: `Gain rolloff: ${tf.hasRolloff ? 'YES' : 'NO'}, Est. delay: ${delayStr} (${tf.coherentProbeCount} coherent probes)` +
+        (twoAxis ? `; 2-axis: ${twoAxis.detail}` : '') };
     weightedSum += s * W.transferFn; totalWeight += W.transferFn; validCount++;
   }
 
@@ -662,6 +1803,21 @@ function scoreResults(results, inputMethod) {
     weightedSum += s * W.oneOverF; totalWeight += W.oneOverF; validCount++;
   }
 
+  // 3b. Detrended Fluctuation Analysis
+  if (results.dfa && results.dfa.valid) {
+    const s = rangeScore(results.dfa.alpha, ScoringConfig.humanDfaAlphaRange[0], ScoringConfig.humanDfaAlphaRange[1], 20);
+    scores.dfa = { score: s, weight: W.dfa, label: 'Fluctuation Scaling (DFA)',
+      detail: `α: ${results.dfa.alpha.toFixed(2)}, R²: ${results.dfa.r2.toFixed(2)} (${results.dfa.scales} scales, ${results.dfa.boxes} boxes)` };
+    weightedSum += s * W.dfa; totalWeight += W.dfa; validCount++;
+  }
+
+  // 3c. Multiscale Entropy
+  if (results.entropy && results.entropy.valid) {
+    const { score: s, detail } = scoreEntropy(results.entropy, inputMethod);
+    scores.entropy = { score: s, weight: W.entropy, label: 'Multiscale Entropy', detail };
+    weightedSum += s * W.entropy; totalWeight += W.entropy; validCount++;
+  }
+
   // 4. Signal-Dependent Noise
   if (results.signalDepNoise && results.signalDepNoise.valid) {
     const s = Math.max(0, Math.min(1, results.signalDepNoise.correlation / 0.4));
@@ -720,17 +1876,131 @@ function scoreResults(results, inputMethod) {
     weightedSum += s * W.minJerk; totalWeight += W.minJerk; validCount++;
   }
 
+  // 9. Human-Operator Model (crossover fit to the probe response)
+  if (results.operatorModel && results.operatorModel.valid) {
+    const { score: s, detail } = scoreOperatorModel(results.operatorModel);
+    scores.operatorModel = { score: s, weight: W.operatorModel, label: 'Human-Operator Model', detail };
+    weightedSum += s * W.operatorModel; totalWeight += W.operatorModel; validCount++;
+  }
+
+  // 10. Free-Move Kinematics (unperturbed phase before tracking)
+  if (results.freeMove && results.freeMove.valid) {
+    const { score: s, detail } = scoreFreeMove(results.freeMove);
+    scores.freeMove = { score: s, weight: W.freeMove, label: 'Free-Move Kinematics', detail };
+    weightedSum += s * W.freeMove; totalWeight += W.freeMove; validCount++;
+  }
+
   const overall = totalWeight > 0 ? weightedSum / totalWeight : 0;
-  let verdict, verdictClass;
-  if (overall >= ScoringConfig.humanThreshold) {
-    verdict = 'BIOLOGICAL CONTROLLER DETECTED'; verdictClass = 'score-human';
-  } else if (overall >= ScoringConfig.uncertainThreshold) {
-    verdict = 'UNCERTAIN — INCONCLUSIVE SIGNALS'; verdictClass = 'score-uncertain';
+  return { overall, scores, validCount, ...verdictBand(overall, thresholds, ScoringConfig) };
+}
+
+/**
+ * Verdict band for an overall score; `config` (ScoringConfig or
+ * EmbedScoringConfig) supplies the thresholds a site doesn't override.
+ * @returns {Object} { verdict, verdictClass }
+ */
+function verdictBand(overall, thresholds = {}, config = ScoringConfig) {
+  const humanThreshold = thresholds.humanThreshold ?? config.humanThreshold;
+  const uncertainThreshold = thresholds.uncertainThreshold ?? config.uncertainThreshold;
+  if (overall >= humanThreshold) {
+    return { verdict: 'BIOLOGICAL CONTROLLER DETECTED', verdictClass: 'score-human' };
+  }
+  if (overall >= uncertainThreshold) {
+    return { verdict: 'UNCERTAIN — INCONCLUSIVE SIGNALS', verdictClass: 'score-uncertain' };
+  }
+  return { verdict: 'NON-BIOLOGICAL CONTROLLER SUSPECTED', verdictClass: 'score-bot' };
+}
+
+/**
+ * Scale a scored result down when detectPerfectResponse() fired.
+ */
+function applyPerfectResponse(scoreResult, perfect, thresholds, config) {
+  if (!perfect.detected) return scoreResult;
+  const overall = scoreResult.overall * ScoringConfig.perfectResponse.penalty;
+  return { ...scoreResult, overall, ...verdictBand(overall, thresholds, config) };
+}
+
+
+// ─── STANDALONE TEMPORAL PLAUSIBILITY ───────────────────────
+// AGENT COOKIE CRUMB: Phase timestamps are the client's own performance.now()
+// values, so on their own they prove nothing. What the server does know is
+// when it issued the challenge and how long each phase must take: the task
+// can't finish sooner than free + tracking + dual-task after issue, the
+// claimed phases must have the challenge's lengths and fit inside the time
+// the server actually saw pass, and the pointer has to cover the tracking
+// window at a rate a real input device produces. Reason codes:
+//   submitted_too_fast           rejected outright by the server
+//   phases_out_of_order          missing, non-finite or unordered phase times
+//   tracking_duration_mismatch   trackingStart → dualtaskStart ≠ trackingDuration
+//   dualtask_duration_mismatch   dual task claimed shorter than dualtaskDuration
+//   claimed_span_exceeds_server  client claims more time than passed since issue
+//   non_monotonic_timestamps     pointer time goes backwards
+//   pointer_span_short           samples don't cover the tracking window
+//   sample_rate_implausible      tracking sample rate outside sampleRateRange
+//   pointer_gap                  a silent stretch longer than maxGapMs
+// Any reason voids the verdict (see analyze).
+
+/**
+ * Cross-check a standalone submission's timeline against server time.
+ * @param {Object} rawData - { pointer: [[t, x, y], ...], phases }
+ * @param {Object} challenge - Stored challenge (issuedAt, phase durations)
+ * @param {number} serverElapsedMs - Server time from issuedAt to submission
+ * @returns {Object} { ok, reasons, serverElapsedMs, minElapsedMs, claimedSpanMs,
+ *   trackingMs, dualtaskMs, sampleRate, maxGapMs }
+ */
+function standalonePlausibility(rawData, challenge, serverElapsedMs) {
+  const cfg = ScoringConfig.timing;
+  const reasons = [];
+  const { trackingStart, dualtaskStart, testEnd } = rawData.phases || {};
+  const minElapsedMs = challenge.freeMoveDuration + challenge.trackingDuration + challenge.dualtaskDuration;
+  const block = (extra = {}) => ({
+    ok: reasons.length === 0, reasons, serverElapsedMs, minElapsedMs,
+    claimedSpanMs: null, trackingMs: null, dualtaskMs: null, sampleRate: null, maxGapMs: null, ...extra,
+  });
+
+  if (serverElapsedMs < minElapsedMs - cfg.clockSkewMs) reasons.push('submitted_too_fast');
+  if (![trackingStart, dualtaskStart, testEnd].every(Number.isFinite) ||
+      !(trackingStart < dualtaskStart && dualtaskStart <= testEnd)) {
+    reasons.push('phases_out_of_order');
+    return block();
+  }
+
+  // Claimed phases: the challenge's lengths, inside the time that really passed
+  const trackingMs = dualtaskStart - trackingStart;
+  const dualtaskMs = testEnd - dualtaskStart; // includes answering the count
+  const claimedSpanMs = testEnd - (trackingStart - challenge.freeMoveDuration);
+  if (trackingMs < challenge.trackingDuration - cfg.phaseEarlyMs ||
+      trackingMs > challenge.trackingDuration + cfg.phaseLateMs) reasons.push('tracking_duration_mismatch');
+  if (dualtaskMs < challenge.dualtaskDuration - cfg.phaseEarlyMs) reasons.push('dualtask_duration_mismatch');
+  if (claimedSpanMs > serverElapsedMs + cfg.clockSkewMs) reasons.push('claimed_span_exceeds_server');
+
+  // Pointer coverage of the tracking window (tracking + dual task)
+  const windowEnd = dualtaskStart + challenge.dualtaskDuration;
+  const times = (rawData.pointer || []).map(p => p[0]).filter(Number.isFinite);
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] < times[i - 1]) { reasons.push('non_monotonic_timestamps'); break; }
+  }
+  const inWindow = times.filter(t => t >= trackingStart && t <= windowEnd);
+  let sampleRate = 0, maxGapMs = windowEnd - trackingStart;
+  if (inWindow.length >= 2) {
+    const first = inWindow[0], last = inWindow[inWindow.length - 1];
+    if (first > trackingStart + cfg.edgeMs || last < windowEnd - cfg.edgeMs) reasons.push('pointer_span_short');
+    sampleRate = (inWindow.length - 1) / ((last - first) / 1000);
+    maxGapMs = 0;
+    for (let i = 1; i < inWindow.length; i++) maxGapMs = Math.max(maxGapMs, inWindow[i] - inWindow[i - 1]);
   } else {
-    verdict = 'NON-BIOLOGICAL CONTROLLER SUSPECTED'; verdictClass = 'score-bot';
+    reasons.push('pointer_span_short');
   }
+  if (!(sampleRate >= cfg.sampleRateRange[0] && sampleRate <= cfg.sampleRateRange[1])) reasons.push('sample_rate_implausible');
+  if (maxGapMs > cfg.maxGapMs) reasons.push('pointer_gap');
 
-  return { overall, scores, validCount, verdict, verdictClass };
+  return block({
+    claimedSpanMs: Math.round(claimedSpanMs),
+    trackingMs: Math.round(trackingMs),
+    dualtaskMs: Math.round(dualtaskMs),
+    sampleRate: Math.round(sampleRate),
+    maxGapMs: Math.round(maxGapMs),
+  });
 }
 
 
@@ -748,15 +2018,21 @@ function scoreResults(results, inputMethod) {
  *   @param {number|null} rawData.cogAnswer - User's cognitive task answer
  *
  * @param {Object} challenge - Server-stored challenge parameters
+ * @param {Object} [options]
+ *   @param {Object} [options.thresholds] - Per-site { humanThreshold, uncertainThreshold } overrides
+ *   @param {Object} [options.plausibility] - standalonePlausibility() block; any reason voids the verdict
  *
- * @returns {Object} { overall, scores, verdict, verdictClass, validCount, sampleRate, sampleCount }
+ * @returns {Object} { overall, scores, verdict, verdictClass, validCount, sampleRate, sampleCount, operatorModel,
+ *   perfectResponse, plausibility }
  */
-function analyze(rawData, challenge) {
+function analyze(rawData, challenge, options = {}) {
+  const plausibility = options.plausibility || null;
+
   // 1. Reconstruct tracking data from challenge params
   const tracking = reconstructTracking(rawData.pointer, rawData.phases, challenge, rawData.canvas);
 
   if (tracking.length < 50) {
-    return { overall: 0, scores: {}, verdict: 'INSUFFICIENT DATA', verdictClass: 'score-bot', validCount: 0 };
+    return { overall: 0, scores: {}, verdict: 'INSUFFICIENT DATA', verdictClass: 'score-bot', validCount: 0, plausibility };
   }
 
   // 2. Estimate sample rate
@@ -765,28 +2041,40 @@ function analyze(rawData, challenge) {
   const sampleRate = dts.length > 0 ? 1000 / (dts.reduce((a, b) => a + b, 0) / dts.length) : 60;
 
   // 3. Extract probe frequencies from challenge for transfer function analysis
-  const probeFreqs = challenge.perturbation.probes.map(p => p.freq);
 
   // 4. Run all 8 analyses
   const results = {};
-  results.transferFn = analyzeTransferFunction(tracking, sampleRate, probeFreqs);
+  results.transferFn = analyzeTransferFunction(tracking, sampleRate, challenge.perturbation.probes);
   results.tremor = analyzeTremor(tracking, sampleRate);
   results.accelTremor = analyzeAccelTremor(rawData.accel);
   results.oneOverF = analyze1fNoise(tracking, sampleRate);
+  results.dfa = analyzeDFA(tracking, sampleRate);
+  results.entropy = analyzeEntropy(tracking, sampleRate);
   results.signalDepNoise = analyzeSignalDepNoise(tracking);
   results.crossAxis = analyzeCrossAxis(tracking, challenge.perturbation.pulses, rawData.phases.trackingStart);
   results.pulseResponse = analyzePulseResponses(tracking, challenge.perturbation.pulses, rawData.phases.trackingStart);
   results.cogInterference = analyzeCogInterference(tracking, challenge.cogTask.flashes, rawData.phases.dualtaskStart, rawData.cogAnswer);
   results.minJerk = analyzeMinJerk(results.pulseResponse);
-
-  // 5. Score
-  const scoreResult = scoreResults(results, rawData.inputMethod);
+  results.operatorModel = fitOperatorModel(results.transferFn);
+  results.freeMove = analyzeFreeMove(rawData.pointer, rawData.phases);
+
+  // 5. Score — metric scores stay visible, but a replayed response scales the
+  // overall down and an implausible timeline voids the verdict
+  const perfectResponse = detectPerfectResponse(results.transferFn);
+  let scoreResult = applyPerfectResponse(
+    scoreResults(results, rawData.inputMethod, options.thresholds), perfectResponse, options.thresholds, ScoringConfig);
+  if (plausibility && !plausibility.ok) {
+    scoreResult = { ...scoreResult, overall: 0, verdict: 'IMPLAUSIBLE TIMING', verdictClass: 'score-bot' };
+  }
 
   return {
     ...scoreResult,
     sampleRate: Math.round(sampleRate),
     sampleCount: tracking.length,
     inputMethod: rawData.inputMethod,
+    operatorModel: operatorModelSummary(results.operatorModel),
+    perfectResponse,
+    plausibility,
   };
 }
 
@@ -829,28 +2117,101 @@ const EmbedScoringConfig = {
     transferFn: 3.0,
     tremor: 2.5,
     oneOverF: 2.0,
+    dfa: 2.0,
+    entropy: 1.5,
     signalDepNoise: 2.5,
     crossAxis: 2.0,
     pulseResponse: 3.0,
     minJerk: 2.0,
+    operatorModel: 2.0,
+    approach: 2.0,
+    clicks: 1.5,
+    keystrokes: 2.0,
   },
   trackpad: {
     transferFn: 3.0,
     tremor: 2.5,
     oneOverF: 2.0,
+    dfa: 2.0,
+    entropy: 1.5,
     signalDepNoise: 2.5,
     crossAxis: 2.0,
     pulseResponse: 3.0,
     minJerk: 1.0,     // Trackpad corrections less ballistic than mouse
+    operatorModel: 2.0,
+    approach: 1.5,    // Trackpad reaches are often split across strokes
+    clicks: 1.5,
+    keystrokes: 2.0,
   },
   touch: {
     transferFn: 3.0,
     tremor: 3.0,       // Boosted: accel tremor is strong on mobile
     oneOverF: 2.0,
+    dfa: 2.0,
+    entropy: 1.5,
     signalDepNoise: 2.5,
     crossAxis: 3.0,    // Boosted: fat-finger coupling is rich signal
     pulseResponse: 3.0,
     minJerk: 0,        // Disabled: no corrective trajectory on touch
+    operatorModel: 2.0,
+    approach: 0,       // Disabled: a finger doesn't travel between targets on screen
+    clicks: 1.5,
+    keystrokes: 1.5,   // Soft keyboards report coarser key timing
+  },
+
+  // Approach movements between elements (Fitts' law). SECRET like the rest.
+  approachRanges: {
+    fittsSlope: [40, 400],        // ms per bit of index of difficulty
+    movementTime: [150, 2000],    // ms, median
+    peakVelocityTiming: [0.2, 0.6], // fraction of MT at peak speed — humans decelerate longer
+    endpointSpread: [0.04, 0.5],  // SD of along-axis endpoint error / target width
+  },
+  minApproaches: 4,
+
+  // Click dynamics per device. press: median ms button/finger down;
+  // pressCV: SD/mean of press durations (scripts repeat one value);
+  // dwell: median ms hovering before the press (null = not measurable);
+  // spread: SD of the landing point per axis, as a fraction of the rect
+  // (a uniform landing anywhere in the rect is ≈ 0.29).
+  clickRanges: {
+    mouse:    { press: [50, 250], pressCV: [0.08, 1.0], dwell: [120, 4000], spread: [0.04, 0.22] },
+    trackpad: { press: [40, 350], pressCV: [0.08, 1.0], dwell: [120, 5000], spread: [0.04, 0.22] },
+    touch:    { press: [40, 400], pressCV: [0.08, 1.2], dwell: null,        spread: [0.05, 0.25] },
+  },
+  minClicks: 3,
+
+  // Keystroke rhythm in observed text fields, per device (touch = soft
+  // keyboard). interval: median ms between key-downs within a burst;
+  // intervalCV / intervalSkew: humans are variable and right-skewed, fixed
+  // or uniform script delays are not; burstiness over all gaps (pauses
+  // included), (σ−μ)/(σ+μ): −1 for a metronome; hold / holdCV: key-down
+  // duration (null = not measurable — soft keyboards fire down and up
+  // together); rollover: share of keys pressed before the previous one
+  // was released — fluent typists overlap, hunt-and-peck doesn't, so it
+  // only ever adds.
+  keystrokeRanges: {
+    mouse:    { interval: [70, 500],  intervalCV: [0.25, 1.5], intervalSkew: [0.4, 6], burstiness: [-0.3, 0.7],
+                hold: [50, 250], holdCV: [0.1, 0.8], rollover: [0.03, 0.7] },
+    trackpad: { interval: [70, 500],  intervalCV: [0.25, 1.5], intervalSkew: [0.4, 6], burstiness: [-0.3, 0.7],
+                hold: [50, 250], holdCV: [0.1, 0.8], rollover: [0.03, 0.7] },
+    touch:    { interval: [100, 800], intervalCV: [0.25, 1.5], intervalSkew: [0.4, 6], burstiness: [-0.3, 0.7],
+                hold: null, holdCV: null, rollover: null },
+  },
+  minKeystrokes: 20,
+
+  // Error-velocity DFA α on hover segments resampled to DFA_EMBED_RATE.
+  // Starts at the standalone range; tuned apart from it on embed sessions.
+  humanDfaAlphaRange: [0.6, 1.5],
+
+  // Timeline integrity audit (see auditEmbedTimeline). toleranceMs absorbs
+  // rAF-vs-event timestamp skew and clamped timers; a pulse fires on the
+  // first frame past its schedule, so up to pulseLateMs later in hover time.
+  // Each soft reason multiplies the score by softPenalty; hard reasons void it.
+  integrity: {
+    toleranceMs: 50,
+    pulseLateMs: 250,
+    maxOutsideFraction: 0.01,
+    softPenalty: 0.7,
   },
 
   // Verdict thresholds (same for all devices — metrics are normalized)
@@ -863,7 +2224,7 @@ const EmbedScoringConfig = {
  * Same physics as standalone but in hover-time domain (not wall-clock).
  *
  * @param {number} hoverT - Cumulative hover time in ms
- * @param {Array} probes - [{freq, ampX, ampY, phaseOffset}, ...]
+ * @param {Array} probes - [{freq, freqY, ampX, ampY, phaseOffset}, ...]
  * @param {Array} pulses - [{hoverTimeMs, ampX, ampY}, ...]
  * @param {number} pulseHoldDuration - ms to hold pulse displacement
  * @param {number} pulseReturnDuration - ms for ease-back after hold
@@ -876,9 +2237,8 @@ function computeEmbedPerturbation(hoverT, probes, pulses, pulseHoldDuration, pul
   // Multi-sine component — continuous in hover-time domain
   const elapsed = hoverT / 1000;
   for (const probe of probes) {
-    const phase = 2 * Math.PI * probe.freq * elapsed;
-    px += probe.ampX * Math.sin(phase);
-    py += probe.ampY * Math.sin(phase + probe.phaseOffset);
+    px += probe.ampX * Math.sin(2 * Math.PI * probe.freq * elapsed);
+    py += probe.ampY * Math.sin(2 * Math.PI * (probe.freqY || probe.freq) * elapsed + probe.phaseOffset);
   }
 
   // Pulse component — pulse times are in hover-time domain
@@ -940,6 +2300,7 @@ function reconstructEmbedTracking(pointer, elements, challenge) {
     tracking.push({
       t: hoverTime,       // Continuous hover-time domain for FFT coherence
       wallTime,           // Preserved for plausibility checks
+      elementIndex,       // Hover segment boundaries (hoverSegmentIds)
       x, y,               // Raw cursor position
       targetX: center.x + pert.x,  // Element center + perturbation
       targetY: center.y + pert.y,
@@ -954,10 +2315,271 @@ function reconstructEmbedTracking(pointer, elements, challenge) {
 }
 
 /**
- * Score 7 embed metrics (no cognitive task) with device-aware weights.
+ * Aimed reaches between observed elements (Fitts' law).
+ * AGENT COOKIE CRUMB: Each approach is the client's downsampled trail
+ * before a hover started, plus the first APPROACH_SETTLE_MS of that hover
+ * (full-rate pointer samples) so the deceleration onto the target is seen.
+ * Per reach: onset/end where speed crosses 10% of its peak, movement time,
+ * Shannon index of difficulty log2(D/W + 1) with W the target's extent
+ * ALONG the approach direction, when the peak happens as a fraction of MT,
+ * and the endpoint (the click if there was one, else where it settled)
+ * projected on the approach axis in units of W. Humans: MT grows with ID,
+ * the peak comes before the midpoint, endpoints scatter around the center.
+ * Scripted pointers: flat MT, symmetric or constant-speed profiles, and
+ * clicks dead-center every time. The target rect is the one captured when
+ * that approach ended — `elements[]` only holds each element's rect from
+ * its last hover, which a scroll in between would make wrong (it is the
+ * fallback for clients that predate per-approach rects).
+ *
+ * @param {Array} approaches - [[elemIdx, hoverWall, [clickWall, x, y] | null, [[wallTime, x, y], ...], {x, y, w, h}], ...]
+ * @param {Array} pointer - Embed pointer samples [[wallTime, hoverTime, x, y, elementIndex], ...]
+ * @param {Array} elements - [{ index, rect: {x, y, w, h} }, ...]
+ */
+const APPROACH_SETTLE_MS = 800;
+const APPROACH_MIN_PEAK_SPEED = 100; // px/s — slower than this isn't an aimed reach
+const MAX_APPROACHES = 60;           // server.js rejects more (EMBED_MAX_APPROACHES); truncated here too
+
+function analyzeApproaches(approaches, pointer, elements) {
+  if (!Array.isArray(approaches) || !approaches.length) return { valid: false, count: 0 };
+  const rects = {};
+  for (const el of elements) rects[el.index] = el.rect;
+  const isPoint = p => Array.isArray(p) && p.length >= 3 && p.slice(0, 3).every(Number.isFinite);
+  const isRect = r => r && [r.x, r.y, r.w, r.h].every(Number.isFinite) && r.w > 0 && r.h > 0;
+
+  // Pointer samples per element in wall-time order, for the settle windows
+  const byElement = new Map();
+  for (const p of pointer) {
+    if (!byElement.has(p[4])) byElement.set(p[4], []);
+    byElement.get(p[4]).push(p);
+  }
+  for (const list of byElement.values()) list.sort((a, b) => a[0] - b[0]);
+
+  const reaches = [];
+  for (const entry of approaches.slice(0, MAX_APPROACHES)) {
+    if (!Array.isArray(entry) || entry.length < 4 || !Array.isArray(entry[3])) continue;
+    const [elementIndex, hoverWall, click, trail, captured] = entry;
+    const rect = captured !== undefined ? captured : rects[elementIndex];
+    if (!isRect(rect) || !Number.isFinite(hoverWall)) continue;
+
+    const own = byElement.get(elementIndex) || [];
+    const settle = [];
+    for (let i = lowerBound(own, hoverWall, p => p[0]); i < own.length && own[i][0] <= hoverWall + APPROACH_SETTLE_MS; i++) {
+      settle.push([own[i][0], own[i][2], own[i][3]]);
+    }
+    const samples = trail.filter(isPoint).concat(settle)
+      .sort((a, b) => a[0] - b[0])
+      .filter((p, i, arr) => i === 0 || p[0] > arr[i - 1][0]);
+    if (samples.length < 5) continue;
+
+    const speed = [0];
+    for (let i = 1; i < samples.length; i++) {
+      const dt = (samples[i][0] - samples[i - 1][0]) / 1000;
+      speed.push(Math.hypot(samples[i][1] - samples[i - 1][1], samples[i][2] - samples[i - 1][2]) / dt);
+    }
+    let peakIdx = 0;
+    for (let i = 1; i < speed.length; i++) if (speed[i] > speed[peakIdx]) peakIdx = i;
+    const peak = speed[peakIdx];
+    if (peak < APPROACH_MIN_PEAK_SPEED) continue;
+
+    let onset = peakIdx, end = peakIdx;
+    while (onset > 0 && speed[onset] > 0.1 * peak) onset--;
+    while (end < speed.length - 1 && speed[end] > 0.1 * peak) end++;
+    const mt = samples[end][0] - samples[onset][0];
+    if (mt <= 0) continue;
+
+    const cx = rect.x + rect.w / 2, cy = rect.y + rect.h / 2;
+    const dx = cx - samples[onset][1], dy = cy - samples[onset][2];
+    const distance = Math.hypot(dx, dy);
+    const ux = dx / (distance || 1), uy = dy / (distance || 1);
+    const width = Math.min(Math.abs(ux) > 1e-6 ? rect.w / Math.abs(ux) : Infinity,
+                           Math.abs(uy) > 1e-6 ? rect.h / Math.abs(uy) : Infinity);
+    if (distance < width / 2) continue; // started on the target
+
+    const clicked = isPoint(click) && click[0] >= hoverWall;
+    const endpoint = clicked ? [click[1], click[2]] : [samples[end][1], samples[end][2]];
+    reaches.push({
+      id: Math.log2(distance / width + 1),
+      mt,
+      peakTiming: (samples[peakIdx][0] - samples[onset][0]) / mt,
+      endpointError: ((endpoint[0] - cx) * ux + (endpoint[1] - cy) * uy) / width,
+      clicked,
+    });
+  }
+
+  if (reaches.length < EmbedScoringConfig.minApproaches) return { valid: false, count: reaches.length };
+  const fitts = MathEngine.linReg(reaches.map(r => r.id), reaches.map(r => r.mt));
+  return {
+    valid: true,
+    count: reaches.length,
+    clicks: reaches.filter(r => r.clicked).length,
+    fittsSlope: fitts.slope,
+    fittsIntercept: fitts.intercept,
+    fittsR2: fitts.r2,
+    medianMT: median(reaches.map(r => r.mt)),
+    peakVelocityTiming: MathEngine.stats(reaches.map(r => r.peakTiming)).mean,
+    endpointSpread: MathEngine.stats(reaches.map(r => r.endpointError)).std,
+  };
+}
+
+/**
+ * Approach metric: mean of Fitts slope, movement time, peak-velocity timing
+ * and endpoint scatter, each against EmbedScoringConfig.approachRanges.
+ * @returns {Object} { score, detail }
+ */
+function scoreApproaches(ap) {
+  const R = EmbedScoringConfig.approachRanges;
+  const parts = [
+    rangeScore(ap.fittsSlope, R.fittsSlope[0], R.fittsSlope[1], 0.1),
+    rangeScore(ap.medianMT, R.movementTime[0], R.movementTime[1], 0.02),
+    rangeScore(ap.peakVelocityTiming, R.peakVelocityTiming[0], R.peakVelocityTiming[1], 20),
+    rangeScore(ap.endpointSpread, R.endpointSpread[0], R.endpointSpread[1], 100),
+  ];
+  return {
+    score: parts.reduce((a, b) => a + b, 0) / parts.length,
+    detail: `Fitts: ${ap.fittsSlope.toFixed(0)}ms/bit (R² ${ap.fittsR2.toFixed(2)}), MT ${ap.medianMT.toFixed(0)}ms, ` +
+      `peak at ${(ap.peakVelocityTiming * 100).toFixed(0)}% MT, endpoint SD ${ap.endpointSpread.toFixed(2)}W ` +
+      `(${ap.count} reaches, ${ap.clicks} clicks)`,
+  };
+}
+
+/**
+ * Click dynamics from the embed press log.
+ * @param {Array} clicks - [[elemIdx, downWall, upWall | null, relX, relY, dwellMs | null], ...]
+ * @returns {Object} { valid, count, pressMedian, pressCV, dwellMedian, spread, centerHits }
+ */
+function analyzeClicks(clicks) {
+  if (!Array.isArray(clicks)) return { valid: false, count: 0 };
+  const valid = clicks.filter(c => Array.isArray(c) && c.length >= 6 &&
+    Number.isFinite(c[1]) && Number.isFinite(c[3]) && Number.isFinite(c[4]) &&
+    c[3] >= -0.05 && c[3] <= 1.05 && c[4] >= -0.05 && c[4] <= 1.05);
+  if (valid.length < EmbedScoringConfig.minClicks) return { valid: false, count: valid.length };
+
+  const presses = valid.filter(c => Number.isFinite(c[2]) && c[2] >= c[1]).map(c => c[2] - c[1]);
+  const dwells = valid.filter(c => Number.isFinite(c[5]) && c[5] >= 0).map(c => c[5]);
+  const pressStats = MathEngine.stats(presses);
+  const spreadX = MathEngine.stats(valid.map(c => c[3])).std;
+  const spreadY = MathEngine.stats(valid.map(c => c[4])).std;
+  return {
+    valid: true,
+    count: valid.length,
+    pressMedian: median(presses),
+    pressCV: presses.length >= 2 && pressStats.mean > 0 ? pressStats.std / pressStats.mean : null,
+    dwellMedian: median(dwells),
+    spread: (spreadX + spreadY) / 2,
+    // Within 0.5% of the exact center on both axes
+    centerHits: valid.filter(c => Math.abs(c[3] - 0.5) < 0.005 && Math.abs(c[4] - 0.5) < 0.005).length / valid.length,
+  };
+}
+
+/**
+ * Click metric against the device's clickRanges: mean of the measurable
+ * parts, scaled down by the share of dead-center hits.
+ * @returns {Object} { score, detail }
+ */
+function scoreClicks(cl, inputMethod) {
+  const R = EmbedScoringConfig.clickRanges[inputMethod] || EmbedScoringConfig.clickRanges.mouse;
+  const parts = [rangeScore(cl.spread, R.spread[0], R.spread[1], 60)];
+  if (cl.pressMedian !== null) parts.push(rangeScore(cl.pressMedian, R.press[0], R.press[1], 0.08));
+  if (cl.pressCV !== null) parts.push(rangeScore(cl.pressCV, R.pressCV[0], R.pressCV[1], 60));
+  if (R.dwell && cl.dwellMedian !== null) parts.push(rangeScore(cl.dwellMedian, R.dwell[0], R.dwell[1], 0.03));
+  const s = (parts.reduce((a, b) => a + b, 0) / parts.length) * (1 - cl.centerHits);
+  const fmt = (v, unit, digits = 0) => (v === null ? 'N/A' : `${v.toFixed(digits)}${unit}`);
+  return {
+    score: s,
+    detail: `Press: ${fmt(cl.pressMedian, 'ms')} (CV ${fmt(cl.pressCV, '', 2)}), dwell: ${fmt(cl.dwellMedian, 'ms')}, ` +
+      `spread: ${cl.spread.toFixed(2)} of rect, ${(cl.centerHits * 100).toFixed(0)}% dead-center (${cl.count} clicks)`,
+  };
+}
+
+const KEY_PAUSE_MS = 2000;  // Longer gaps end a burst (thinking, switching fields)
+const KEY_GAP_MAX_MS = 10000; // Longer gaps are left out of burstiness altogether
+const MAX_KEYSTROKES = 1000;
+
+/**
+ * Keystroke rhythm from the embed key log (timing only — no key values).
+ * Intervals are key-down to key-down within one field and one burst.
+ * @param {Array} keys - [[fieldIdx, downWall, upWall | null], ...]
+ * @returns {Object} { valid, count, intervalMedian, intervalCV, intervalSkew,
+ *   burstiness, bursts, holdMedian, holdCV, rollover }
+ */
+function analyzeKeystrokes(keys) {
+  if (!Array.isArray(keys)) return { valid: false, count: 0 };
+  const valid = keys.slice(0, MAX_KEYSTROKES)
+    .filter(k => Array.isArray(k) && k.length >= 3 && Number.isFinite(k[1]))
+    .sort((a, b) => a[1] - b[1]);
+  if (valid.length < EmbedScoringConfig.minKeystrokes) return { valid: false, count: valid.length };
+
+  const intervals = [], gaps = [];
+  let bursts = 1, pairs = 0, overlaps = 0;
+  for (let i = 1; i < valid.length; i++) {
+    const prev = valid[i - 1], cur = valid[i];
+    const gap = cur[1] - prev[1];
+    if (gap <= KEY_GAP_MAX_MS) gaps.push(gap);
+    if (cur[0] !== prev[0] || gap > KEY_PAUSE_MS) { bursts++; continue; }
+    intervals.push(gap);
+    if (Number.isFinite(prev[2])) {
+      pairs++;
+      if (cur[1] < prev[2]) overlaps++;
+    }
+  }
+  if (intervals.length < EmbedScoringConfig.minKeystrokes * 0.75) return { valid: false, count: valid.length };
+
+  const holds = valid.filter(k => Number.isFinite(k[2]) && k[2] >= k[1] && k[2] - k[1] < KEY_PAUSE_MS).map(k => k[2] - k[1]);
+  const iv = MathEngine.stats(intervals);
+  const gs = MathEngine.stats(gaps);
+  const hs = MathEngine.stats(holds);
+  let m3 = 0;
+  for (const v of intervals) m3 += (v - iv.mean) ** 3;
+  m3 /= intervals.length;
+
+  return {
+    valid: true,
+    count: valid.length,
+    intervalMedian: median(intervals),
+    intervalCV: iv.mean > 0 ? iv.std / iv.mean : 0,
+    intervalSkew: iv.std > 0 ? m3 / iv.std ** 3 : 0,
+    burstiness: gs.std + gs.mean > 0 ? (gs.std - gs.mean) / (gs.std + gs.mean) : -1,
+    bursts,
+    holdMedian: holds.length >= 5 ? median(holds) : null,
+    holdCV: holds.length >= 5 && hs.mean > 0 ? hs.std / hs.mean : null,
+    rollover: pairs >= 5 ? overlaps / pairs : null,
+  };
+}
+
+/**
+ * Keystroke metric against the device's keystrokeRanges. Rhythm (interval
+ * variability, skew, burstiness) gates timing (interval and hold levels):
+ * a script can pick plausible delays far more easily than a plausible
+ * distribution of them. Rollover only ever adds.
+ * @returns {Object} { score, detail }
+ */
+function scoreKeystrokes(ks, inputMethod) {
+  const R = EmbedScoringConfig.keystrokeRanges[inputMethod] || EmbedScoringConfig.keystrokeRanges.mouse;
+  const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+  const rhythm = [
+    rangeScore(ks.intervalCV, R.intervalCV[0], R.intervalCV[1], 20),
+    rangeScore(ks.intervalSkew, R.intervalSkew[0], R.intervalSkew[1], 8),
+    rangeScore(ks.burstiness, R.burstiness[0], R.burstiness[1], 15),
+  ];
+  const timing = [rangeScore(ks.intervalMedian, R.interval[0], R.interval[1], 0.05)];
+  if (R.hold && ks.holdMedian !== null) timing.push(rangeScore(ks.holdMedian, R.hold[0], R.hold[1], 0.08));
+  if (R.holdCV && ks.holdCV !== null) timing.push(rangeScore(ks.holdCV, R.holdCV[0], R.holdCV[1], 30));
+  let s = mean(rhythm) * mean(timing);
+  if (R.rollover && ks.rollover !== null) s = Math.min(1, s + 0.1 * rangeScore(ks.rollover, R.rollover[0], R.rollover[1], 60));
+  const fmt = (v, unit, digits = 0) => (v === null ? 'N/A' : `${v.toFixed(digits)}${unit}`);
+  return {
+    score: s,
+    detail: `Interval: ${ks.intervalMedian.toFixed(0)}ms (CV ${ks.intervalCV.toFixed(2)}, skew ${ks.intervalSkew.toFixed(2)}), ` +
+      `burstiness ${ks.burstiness.toFixed(2)}, hold: ${fmt(ks.holdMedian, 'ms')} (CV ${fmt(ks.holdCV, '', 2)}), ` +
+      `rollover: ${ks.rollover === null ? 'N/A' : (ks.rollover * 100).toFixed(0) + '%'} (${ks.count} keys, ${ks.bursts} bursts)`,
+  };
+}
+
+/**
+ * Score 8 embed metrics (7 pipelines + the operator-model fit; no cognitive task)
  * Selects weight profile based on inputMethod ('touch' | 'trackpad' | 'mouse').
  */
-function scoreEmbedResults(results, inputMethod) {
+function scoreEmbedResults(results, inputMethod, thresholds = {}) {
   const scores = {};
   let weightedSum = 0, totalWeight = 0, validCount = 0;
   // Select device-specific weight profile; fall back to mouse if unknown
@@ -971,9 +2593,12 @@ function scoreEmbedResults(results, inputMethod) {
     if (tf.hasPhaseDelay) s += 0.15;
     if (tf.delayPlausible) s += 0.15;
     s = Math.min(1, s);
+    const twoAxis = scoreTransferMatrix(tf.mimo);
+    if (twoAxis) s = 0.7 * s + 0.3 * twoAxis.score;
     const delayStr = tf.meanDelay !== null ? `${tf.meanDelay.toFixed(0)}ms` : 'N/A';
     scores.transferFn = { score: s, weight: W.transferFn, label: 'Transfer Function',
-      detail: `Gain rolloff: ${tf.hasRolloff ? 'YES' : 'NO'}, Est. delay: ${delayStr} (${tf.coherentProbeCount} coherent probes)` };
+      detail: `Gain rolloff: ${tf.hasRolloff ? 'YES' : 'NO'}, Est. delay: ${delayStr} (${tf.coherentProbeCount} coherent probes)` +
+        (twoAxis ? `; 2-axis: ${twoAxis.detail}` : '') };
     weightedSum += s * W.transferFn; totalWeight += W.transferFn; validCount++;
   }
 
@@ -1012,6 +2637,21 @@ function scoreEmbedResults(results, inputMethod) {
     weightedSum += s * W.oneOverF; totalWeight += W.oneOverF; validCount++;
   }
 
+  // 3b. Detrended Fluctuation Analysis
+  if (results.dfa && results.dfa.valid) {
+    const s = rangeScore(results.dfa.alpha, EmbedScoringConfig.humanDfaAlphaRange[0], EmbedScoringConfig.humanDfaAlphaRange[1], 20);
+    scores.dfa = { score: s, weight: W.dfa, label: 'Fluctuation Scaling (DFA)',
+      detail: `α: ${results.dfa.alpha.toFixed(2)}, R²: ${results.dfa.r2.toFixed(2)} (${results.dfa.scales} scales, ${results.dfa.boxes} boxes)` };
+    weightedSum += s * W.dfa; totalWeight += W.dfa; validCount++;
+  }
+
+  // 3c. Multiscale Entropy
+  if (results.entropy && results.entropy.valid) {
+    const { score: s, detail } = scoreEntropy(results.entropy, inputMethod);
+    scores.entropy = { score: s, weight: W.entropy, label: 'Multiscale Entropy', detail };
+    weightedSum += s * W.entropy; totalWeight += W.entropy; validCount++;
+  }
+
   // 4. Signal-Dependent Noise
   if (results.signalDepNoise && results.signalDepNoise.valid) {
     const s = Math.max(0, Math.min(1, results.signalDepNoise.correlation / 0.4));
@@ -1052,17 +2692,225 @@ function scoreEmbedResults(results, inputMethod) {
     weightedSum += s * W.minJerk; totalWeight += W.minJerk; validCount++;
   }
 
+  // 8. Human-Operator Model (crossover fit to the probe response)
+  if (results.operatorModel && results.operatorModel.valid) {
+    const { score: s, detail } = scoreOperatorModel(results.operatorModel);
+    scores.operatorModel = { score: s, weight: W.operatorModel, label: 'Human-Operator Model', detail };
+    weightedSum += s * W.operatorModel; totalWeight += W.operatorModel; validCount++;
+  }
+
+  // 9. Approach Movements (Fitts' law) — skipped when weight=0 (touch)
+  if (W.approach > 0 && results.approach && results.approach.valid) {
+    const { score: s, detail } = scoreApproaches(results.approach);
+    scores.approach = { score: s, weight: W.approach, label: 'Approach Movements', detail };
+    weightedSum += s * W.approach; totalWeight += W.approach; validCount++;
+  }
+
+  // 10. Click Dynamics
+  if (W.clicks > 0 && results.clicks && results.clicks.valid) {
+    const { score: s, detail } = scoreClicks(results.clicks, inputMethod);
+    scores.clicks = { score: s, weight: W.clicks, label: 'Click Dynamics', detail };
+    weightedSum += s * W.clicks; totalWeight += W.clicks; validCount++;
+  }
+
+  // 11. Keystroke Rhythm
+  if (W.keystrokes > 0 && results.keystrokes && results.keystrokes.valid) {
+    const { score: s, detail } = scoreKeystrokes(results.keystrokes, inputMethod);
+    scores.keystrokes = { score: s, weight: W.keystrokes, label: 'Keystroke Rhythm', detail };
+    weightedSum += s * W.keystrokes; totalWeight += W.keystrokes; validCount++;
+  }
+
   const overall = totalWeight > 0 ? weightedSum / totalWeight : 0;
-  let verdict, verdictClass;
-  if (overall >= EmbedScoringConfig.humanThreshold) {
-    verdict = 'BIOLOGICAL CONTROLLER DETECTED'; verdictClass = 'score-human';
-  } else if (overall >= EmbedScoringConfig.uncertainThreshold) {
-    verdict = 'UNCERTAIN — INCONCLUSIVE SIGNALS'; verdictClass = 'score-uncertain';
-  } else {
-    verdict = 'NON-BIOLOGICAL CONTROLLER SUSPECTED'; verdictClass = 'score-bot';
+  return { overall, scores, validCount, ...verdictBand(overall, thresholds, EmbedScoringConfig) };
+}
+
+
+// ─── EMBED TIMELINE INTEGRITY ───────────────────────────────
+// AGENT COOKIE CRUMB: The client keeps three clocks that must agree. Hover
+// time only advances while an element is hovered and then at exactly the
+// wall-clock rate (every increment is now − lastTick, so within one hover
+// the increments telescope to endWall − startWall). Hovers are contiguous
+// on the hover axis, every pointer sample sits inside a hover of its own
+// element, and a pulse is logged on the first frame at or past its
+// scheduled hover time with the challenge's amplitudes. A replayed or
+// synthesized submission has to fake all of that consistently; most don't
+// bother. Reason codes:
+//   hard (verdict void)
+//     non_monotonic_timestamps  pointer wall time goes backwards
+//     hover_faster_than_wall    hover time advances faster than wall time
+//     pulse_schedule_mismatch   logged pulses don't match the challenge
+//   soft (score × softPenalty each)
+//     hover_log_missing         pointer data but no hover intervals
+//     hover_wall_mismatch       a hover's hover-time span ≠ its wall span
+//     hover_sum_mismatch        hover intervals don't tile the hover axis
+//     pointer_outside_hover     samples outside any hover of their element
+//     pointer_clock_mismatch    sample hover time ≠ its hover's wall offset
+//     pulse_missing             hover time passed a pulse that was never logged
+//     pulse_timing_mismatch     logged pulse fired at the wrong hover time
+//     pulse_outside_hover       logged pulse not inside a hover of its element
+
+const INTEGRITY_HARD_REASONS = ['non_monotonic_timestamps', 'hover_faster_than_wall', 'pulse_schedule_mismatch'];
+
+/**
+ * Cross-check the client's pointer, hover and pulse logs against each
+ * other and the challenge schedule. Runs before scoring.
+ * @param {Object} rawData - Embed payload (pointer, hovers, pulseLog)
+ * @param {Object} challenge - Stored embed challenge
+ * @returns {Object} { reasons: [code, ...], voided }
+ */
+function auditEmbedTimeline(rawData, challenge) {
+  const cfg = EmbedScoringConfig.integrity;
+  const tol = cfg.toleranceMs;
+  const reasons = new Set();
+  const finite = (row, n) => Array.isArray(row) && row.length >= n && row.slice(0, n).every(Number.isFinite);
+  const pointer = (rawData.pointer || []).filter(p => finite(p, 5));
+  const hovers = (rawData.hovers || []).filter(h => finite(h, 5)).sort((a, b) => a[1] - b[1]);
+  const pulseLog = (rawData.pulseLog || []).filter(p => finite(p, 5));
+  const schedule = challenge.perturbation.pulses;
+
+  // Pointer clocks: wall strictly ordered; hover never outruns wall
+  for (let i = 1; i < pointer.length; i++) {
+    const dWall = pointer[i][0] - pointer[i - 1][0];
+    const dHover = pointer[i][1] - pointer[i - 1][1];
+    if (dWall < 0) reasons.add('non_monotonic_timestamps');
+    if (dHover > Math.max(0, dWall) + tol) reasons.add('hover_faster_than_wall');
+  }
+
+  // Hover intervals: each one runs at wall rate, together they tile the axis
+  if (pointer.length && !hovers.length) reasons.add('hover_log_missing');
+  let expectedStart = 0;
+  for (const [, startWall, endWall, startHover, endHover] of hovers) {
+    if (Math.abs((endHover - startHover) - (endWall - startWall)) > tol) reasons.add('hover_wall_mismatch');
+    if (Math.abs(startHover - expectedStart) > tol) reasons.add('hover_sum_mismatch');
+    expectedStart = endHover;
+  }
+  // Without hover intervals, the pointer's own hover axis is all there is
+  const hoverAxisEnd = hovers.length ? expectedStart : pointer.reduce((m, p) => Math.max(m, p[1]), 0);
+  // Hovers per element by start time: a lookup is a binary search, not a
+  // scan — both arrays are client-sized. Within tolerance a sample can touch
+  // two back-to-back hovers of one element; the earlier one wins.
+  const hoversByElement = new Map();
+  for (const h of hovers) {
+    if (!hoversByElement.has(h[0])) hoversByElement.set(h[0], []);
+    hoversByElement.get(h[0]).push(h);
+  }
+  const hoverAt = (elementIndex, wall) => {
+    const own = hoversByElement.get(elementIndex);
+    if (!own) return null;
+    const next = lowerBound(own, wall + tol, h => h[1]);
+    for (let i = Math.max(0, next - 2); i <= next && i < own.length; i++) {
+      if (wall >= own[i][1] - tol && wall <= own[i][2] + tol) return own[i];
+    }
+    return null;
+  };
+
+  // Pointer samples: inside a hover of their element, at its wall offset
+  if (hovers.length && pointer.length) {
+    let outside = 0, drifted = 0;
+    for (const [wall, hoverTime, , , elementIndex] of pointer) {
+      const h = hoverAt(elementIndex, wall);
+      if (!h) { outside++; continue; }
+      if (Math.abs((hoverTime - h[3]) - (wall - h[1])) > tol) drifted++;
+    }
+    if (outside > pointer.length * cfg.maxOutsideFraction) reasons.add('pointer_outside_hover');
+    if (drifted > pointer.length * cfg.maxOutsideFraction) reasons.add('pointer_clock_mismatch');
+    if (pointer[pointer.length - 1][1] > hoverAxisEnd + tol) reasons.add('hover_sum_mismatch');
+  }
+
+  // Pulses: the challenge's schedule, in order, each fired on time
+  if (pulseLog.length > schedule.length) reasons.add('pulse_schedule_mismatch');
+  pulseLog.forEach(([hoverTimeMs, wall, ampX, ampY, elementIndex], i) => {
+    const want = schedule[i];
+    if (!want || Math.abs(hoverTimeMs - want.hoverTimeMs) > 1e-6 ||
+        Math.abs(ampX - want.ampX) > 1e-6 || Math.abs(ampY - want.ampY) > 1e-6) {
+      reasons.add('pulse_schedule_mismatch');
+      return;
+    }
+    if (!hovers.length) return; // Already hover_log_missing
+    const h = hoverAt(elementIndex, wall);
+    if (!h) { reasons.add('pulse_outside_hover'); return; }
+    const late = h[3] + (wall - h[1]) - hoverTimeMs;
+    if (late < -tol || late > cfg.pulseLateMs) reasons.add('pulse_timing_mismatch');
+  });
+  for (let i = pulseLog.length; i < schedule.length; i++) {
+    if (hoverAxisEnd > schedule[i].hoverTimeMs + cfg.pulseLateMs) reasons.add('pulse_missing');
+  }
+
+  const list = [...reasons];
+  return { reasons: list, voided: list.some(r => INTEGRITY_HARD_REASONS.includes(r)) };
+}
+
+/**
+ * Fold the audit into a scored result: void on a hard reason, otherwise
+ * softPenalty per soft reason, then re-band the verdict.
+ */
+function applyIntegrity(scoreResult, integrity, thresholds) {
+  if (integrity.voided) {
+    return { ...scoreResult, overall: 0, verdict: 'TIMELINE INTEGRITY FAILURE', verdictClass: 'score-bot' };
   }
+  if (!integrity.reasons.length) return scoreResult;
+  const overall = scoreResult.overall * EmbedScoringConfig.integrity.softPenalty ** integrity.reasons.length;
+  return { ...scoreResult, overall, ...verdictBand(overall, thresholds, EmbedScoringConfig) };
+}
+
+
+// ─── EMBED DECOYS ───────────────────────────────────────────
+// AGENT COOKIE CRUMB: CLNPEmbed's `decoys` option injects copies of
+// observed elements that nobody can see or reach (off-screen, or
+// transparent and click-through) and logs hovers and clicks on them in the
+// ordinary logs under reserved element indices. Only a script sweeping the
+// observed selectors, or dispatching events at them, gets there — a single
+// hit voids the verdict with reason code decoy_interaction. The entries are
+// taken out before anything else reads the logs: they carry no hover time
+// and would trip the timeline audit.
+
+const DECOY_INDEX_BASE = 1000000; // CLNPEmbed.DECOY_INDEX_BASE — indices from here up are decoys
 
-  return { overall, scores, validCount, verdict, verdictClass };
+/**
+ * Split decoy hovers and clicks out of the client's logs.
+ * @returns {Object} { hovers, clicks, decoys: { hovers, clicks, reasons } } — hovers/clicks without decoy entries
+ */
+function splitDecoys(rawData) {
+  const isDecoy = entry => Array.isArray(entry) && Number.isFinite(entry[0]) && entry[0] >= DECOY_INDEX_BASE;
+  const hovers = rawData.hovers || [];
+  const clicks = rawData.clicks || [];
+  const decoyHovers = hovers.filter(isDecoy).length;
+  const decoyClicks = clicks.filter(isDecoy).length;
+  return {
+    hovers: decoyHovers ? hovers.filter(h => !isDecoy(h)) : hovers,
+    clicks: decoyClicks ? clicks.filter(c => !isDecoy(c)) : clicks,
+    decoys: {
+      hovers: decoyHovers,
+      clicks: decoyClicks,
+      reasons: decoyHovers + decoyClicks > 0 ? ['decoy_interaction'] : [],
+    },
+  };
+}
+
+/**
+ * Cap a keyboard-only result inside the uncertain band.
+ * AGENT COOKIE CRUMB: Without pointer data there is no perturbation to
+ * respond to and nothing for the timeline audit to cross-check — keystroke
+ * timing alone is easy to synthesize (log-normal delays from Math.random
+ * pass). Sites that can't accept that opt in (`capKeyboardOnly`): such a
+ * session can then reach "uncertain", never human — the overall is capped
+ * at the midpoint of the site's uncertain band. Other sites get the plain
+ * verdict, with keyboardOnly on the receipt for the backend to weigh.
+ */
+function capKeyboardOnly(scoreResult, thresholds = {}) {
+  const humanThreshold = thresholds.humanThreshold ?? EmbedScoringConfig.humanThreshold;
+  const uncertainThreshold = thresholds.uncertainThreshold ?? EmbedScoringConfig.uncertainThreshold;
+  const cap = (humanThreshold + uncertainThreshold) / 2;
+  if (scoreResult.overall <= cap) return scoreResult;
+  return { ...scoreResult, overall: cap, ...verdictBand(cap, thresholds, EmbedScoringConfig) };
+}
+
+/**
+ * Void a scored result when a decoy was touched.
+ */
+function applyDecoys(scoreResult, decoys) {
+  if (!decoys.reasons.length) return scoreResult;
+  return { ...scoreResult, overall: 0, verdict: 'DECOY INTERACTION', verdictClass: 'score-bot' };
 }
 
 
@@ -1084,20 +2932,59 @@ function scoreEmbedResults(results, inputMethod) {
  *   @param {Array} rawData.pointer - [[wallTime, hoverTime, x, y, elementIndex], ...]
  *   @param {Array} rawData.accel - [[wallTime, ax, ay, az], ...] (optional)
  *   @param {Array} rawData.hovers - [[elemIdx, startWall, endWall, startHover, endHover], ...]
+ *     (elemIdx ≥ DECOY_INDEX_BASE: a decoy hover, see splitDecoys)
  *   @param {Array} rawData.pulseLog - [[hoverTime, wallTime, dx, dy, elementIndex], ...]
+ *   @param {Array} [rawData.approaches] - [[elemIdx, hoverWall, click | null, [[wallTime, x, y], ...], rect], ...]
+ *   @param {Array} [rawData.clicks] - [[elemIdx, downWall, upWall | null, relX, relY, dwellMs | null], ...]
+ *   @param {Array} [rawData.keys] - [[fieldIdx, downWall, upWall | null], ...]
  *   @param {Array} rawData.elements - [{ index, rect: {x, y, w, h} }, ...]
  *   @param {string} rawData.inputMethod - 'mouse' | 'touch' | 'trackpad'
  *
  * @param {Object} challenge - Server-stored embed challenge parameters
+ * @param {Object} [options]
+ *   @param {Object} [options.thresholds] - Per-site { humanThreshold, uncertainThreshold } overrides
+ *   @param {boolean} [options.capKeyboardOnly] - Keep keyboard-only verdicts below human (capKeyboardOnly())
  *
- * @returns {Object} { overall, scores, verdict, verdictClass, validCount, sampleRate, sampleCount }
+ * @returns {Object} { overall, scores, verdict, verdictClass, validCount, sampleRate, sampleCount, operatorModel,
+ *   keystrokeCount, keyboardOnly, perfectResponse, integrity: { reasons, voided }, decoys: { hovers, clicks, reasons } }
  */
-function analyzeEmbed(rawData, challenge) {
+function analyzeEmbed(rawData, challenge, options = {}) {
+  // 0. Decoy hits come out of the logs, then timeline integrity — the
+  // client's clocks and logs must agree before any of it is scored
+  const { decoys, ...logs } = splitDecoys(rawData);
+  rawData = { ...rawData, ...logs };
+  const integrity = auditEmbedTimeline(rawData, challenge);
+
   // 1. Reconstruct tracking data from hover pointer samples + element positions
   const tracking = reconstructEmbedTracking(rawData.pointer, rawData.elements, challenge);
+  const keystrokes = analyzeKeystrokes(rawData.keys);
 
   if (tracking.length < 50) {
-    return { overall: 0, scores: {}, verdict: 'INSUFFICIENT DATA', verdictClass: 'score-bot', validCount: 0 };
+    if (!keystrokes.valid) {
+      return {
+        ...applyDecoys({ overall: 0, scores: {}, verdict: 'INSUFFICIENT DATA', verdictClass: 'score-bot', validCount: 0 }, decoys),
+        keyboardOnly: false, integrity, decoys,
+      };
+    }
+    // Keyboard-only session (a signup form): keystroke rhythm carries the
+    // verdict alone, capped at uncertain where the site asks. Hover
+    // plausibility doesn't apply without hover.
+    let keyResult = scoreEmbedResults({ keystrokes }, rawData.inputMethod, options.thresholds);
+    if (options.capKeyboardOnly) keyResult = capKeyboardOnly(keyResult, options.thresholds);
+    return {
+      ...applyDecoys(applyIntegrity(keyResult, integrity, options.thresholds), decoys),
+      keyboardOnly: true,
+      sampleRate: 0,
+      sampleCount: tracking.length,
+      inputMethod: rawData.inputMethod,
+      operatorModel: null,
+      totalHoverTime: 0,
+      uniqueElements: 0,
+      keystrokeCount: keystrokes.count,
+      plausible: true,
+      integrity,
+      decoys,
+    };
   }
 
   // 2. Estimate sample rate from hover-time domain
@@ -1109,7 +2996,6 @@ function analyzeEmbed(rawData, challenge) {
   const sampleRate = dts.length > 0 ? 1000 / (dts.reduce((a, b) => a + b, 0) / dts.length) : 60;
 
   // 3. Extract probe frequencies
-  const probeFreqs = challenge.perturbation.probes.map(p => p.freq);
 
   // 4. Map embed pulses to standalone pulse format for pipeline reuse.
   // Standalone expects pulse.offsetMs relative to trackingStart.
@@ -1123,19 +3009,32 @@ function analyzeEmbed(rawData, challenge) {
   }));
   const trackingStartZero = 0; // hover-time domain starts at 0
 
-  // 5. Run 7 analyses (no cognitive-motor interference)
+  // 5. Run 7 analyses (no cognitive-motor interference). Spectral pipelines
+  // run gap-aware: hover segments are glued together, and resampling would
+  // interpolate straight across every element switch.
+  const gapAware = { gapAware: true };
   const results = {};
-  results.transferFn = analyzeTransferFunction(tracking, sampleRate, probeFreqs);
-  results.tremor = analyzeTremor(tracking, sampleRate);
+  results.transferFn = analyzeTransferFunction(tracking, sampleRate, challenge.perturbation.probes, gapAware);
+  results.tremor = analyzeTremor(tracking, sampleRate, gapAware);
   results.accelTremor = analyzeAccelTremor(rawData.accel);
-  results.oneOverF = analyze1fNoise(tracking, sampleRate);
+  results.oneOverF = analyze1fNoise(tracking, sampleRate, gapAware);
+  results.dfa = analyzeDFA(tracking, sampleRate, gapAware);
+  results.entropy = analyzeEntropy(tracking, sampleRate, gapAware);
   results.signalDepNoise = analyzeSignalDepNoise(tracking);
   results.crossAxis = analyzeCrossAxis(tracking, mappedPulses, trackingStartZero);
   results.pulseResponse = analyzePulseResponses(tracking, mappedPulses, trackingStartZero);
   results.minJerk = analyzeMinJerk(results.pulseResponse);
-
-  // 6. Score with embed weights (no cognitive metric)
-  const scoreResult = scoreEmbedResults(results, rawData.inputMethod);
+  results.operatorModel = fitOperatorModel(results.transferFn);
+  results.approach = analyzeApproaches(rawData.approaches, rawData.pointer, rawData.elements);
+  results.clicks = analyzeClicks(rawData.clicks);
+  results.keystrokes = keystrokes;
+
+  // 6. Score with embed weights (no cognitive metric), then fold in the
+  // perfect-response check, the integrity audit and any decoy hit
+  const perfectResponse = detectPerfectResponse(results.transferFn);
+  const scored = applyPerfectResponse(
+    scoreEmbedResults(results, rawData.inputMethod, options.thresholds), perfectResponse, options.thresholds, EmbedScoringConfig);
+  const scoreResult = applyDecoys(applyIntegrity(scored, integrity, options.thresholds), decoys);
 
   // 7. Plausibility checks on hover data
   let plausible = true;
@@ -1149,10 +3048,16 @@ function analyzeEmbed(rawData, challenge) {
     sampleRate: Math.round(sampleRate),
     sampleCount: tracking.length,
     inputMethod: rawData.inputMethod,
+    operatorModel: operatorModelSummary(results.operatorModel),
     totalHoverTime: Math.round(totalHoverTime),
     uniqueElements,
+    keystrokeCount: keystrokes.count,
+    keyboardOnly: false,
+    perfectResponse,
     plausible,
+    integrity,
+    decoys,
   };
 }
 
-module.exports = { analyze, analyzeEmbed };
+module.exports = { analyze, analyzeEmbed, standalonePlausibility };
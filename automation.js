@@ -0,0 +1,94 @@
+/**
+ * CLNP Automation Signals
+ *
+ * AGENT COOKIE CRUMB: The biomechanical verdict asks "does this movement
+ * come from a human motor system?". This module asks a cheaper, orthogonal
+ * question: "was the page driven by a script?". Both clients (CLNPEmbed and
+ * the probe page's Collector) send a compact `automation` block:
+ *
+ *   {
+ *     webdriver: false,        // navigator.webdriver
+ *     events: 812,             // pointer/touch/key events seen
+ *     untrusted: 0,            // ...of which isTrusted === false (dispatchEvent)
+ *     moves: 640,              // pointermove/touchmove events
+ *     coalescedApi: true,      // PointerEvent.getCoalescedEvents exists
+ *     coalescedMoves: 211,     // moves that carried more than one coalesced event
+ *     intervals: 598,          // move-to-move intervals under 100ms...
+ *     intervalMean: 9.6,       // ...their mean (ms, event timeStamp)
+ *     intervalSD: 4.1          // ...and standard deviation
+ *   }
+ *
+ * A real input device behind a real compositor produces trusted events,
+ * jittery intervals and (at mouse polling rates above the frame rate)
+ * coalesced moves. dispatchEvent yields untrusted events; CDP-driven
+ * input arrives one event per dispatch, never coalesced, often on a fixed
+ * cadence. Each signal has a risk weight; the risk score is
+ * 1 − Π(1 − weight) over the raised flags, so one strong signal dominates
+ * and several weak ones add up. The block is client-reported — a careful
+ * bot can fake it — which is why this is a risk score next to the verdict,
+ * not part of it. Weights are server-only, like the scoring config.
+ * Zero external dependencies.
+ */
+
+"use strict";
+
+const RISK_WEIGHTS = {
+  signals_missing: 0.3,       // current clients always send the block
+  signals_inconsistent: 0.5,  // fewer moves reported than pointer samples submitted
+  webdriver: 0.6,
+  untrusted_events: 0.9,
+  regular_intervals: 0.4,
+  no_coalesced_events: 0.25,
+};
+
+const MIN_INTERVALS = 50;      // Regularity needs a real sample of intervals
+const REGULAR_CV_MAX = 0.03;   // Timers and CDP loops; real devices jitter far more
+const BURST_MEAN_MAX_MS = 0.5; // Whole movements dispatched within the same millisecond
+const MIN_MOVES_COALESCED = 100;
+
+const count = v => (Number.isFinite(v) && v >= 0 ? Math.floor(v) : 0);
+
+
+/**
+ * Score a client's automation block.
+ *
+ * @param {Object|undefined} raw - `automation` block from the payload
+ * @param {Object} [opts]
+ * @param {number} [opts.pointerSamples] - Samples in the submission that each came from one move
+ *   event (embed); more samples than reported moves means the block was doctored
+ * @returns {Object} { risk, flags, signals } — risk in [0, 1], flags as reason codes
+ */
+function assessAutomation(raw, opts = {}) {
+  if (!raw || typeof raw !== "object") {
+    return { risk: RISK_WEIGHTS.signals_missing, flags: ["signals_missing"], signals: null };
+  }
+
+  const signals = {
+    webdriver: raw.webdriver === true,
+    events: count(raw.events),
+    untrusted: count(raw.untrusted),
+    moves: count(raw.moves),
+    coalescedApi: raw.coalescedApi === true,
+    coalescedMoves: count(raw.coalescedMoves),
+    intervals: count(raw.intervals),
+    intervalMean: Number.isFinite(raw.intervalMean) ? raw.intervalMean : null,
+    intervalSD: Number.isFinite(raw.intervalSD) ? raw.intervalSD : null,
+  };
+
+  const flags = [];
+  if (signals.webdriver) flags.push("webdriver");
+  if (signals.untrusted > 0) flags.push("untrusted_events");
+  if (signals.intervals >= MIN_INTERVALS && signals.intervalMean !== null && signals.intervalSD !== null &&
+      (signals.intervalMean < BURST_MEAN_MAX_MS || signals.intervalSD / signals.intervalMean < REGULAR_CV_MAX)) {
+    flags.push("regular_intervals");
+  }
+  if (signals.coalescedApi && signals.moves >= MIN_MOVES_COALESCED && signals.coalescedMoves === 0) {
+    flags.push("no_coalesced_events");
+  }
+  if (opts.pointerSamples && signals.moves < opts.pointerSamples * 0.9) flags.push("signals_inconsistent");
+
+  const risk = 1 - flags.reduce((p, flag) => p * (1 - RISK_WEIGHTS[flag]), 1);
+  return { risk: Number(risk.toFixed(3)), flags, signals };
+}
+
+module.exports = { assessAutomation };
@@ -19,7 +19,7 @@
  * still register at the original position.
  *
  * Usage:
- *   const clnp = new CLNPEmbed({ serverUrl: '' });
+ *   const clnp = new CLNPEmbed({ serverUrl: '', siteKey: 'pk_...', action: 'checkout' });
  *   clnp.observe('.btn, a, input, [data-clnp]');
  *   await clnp.start();
  *
@@ -27,6 +27,10 @@
  *   const result = await clnp.getResult();
  *   // result.verdict, result.overall, result.receipt
  *
+ * If the server attaches a proof-of-work puzzle to the challenge, start()
+ * solves it in idle callbacks alongside observation; getResult() waits for
+ * the solution before submitting.
+ *
  * Zero dependencies. No build step. ~400 lines.
  */
 
@@ -36,19 +40,37 @@ class CLNPEmbed {
   /**
    * @param {Object} opts
    * @param {string} opts.serverUrl - Base URL for CLNP server (default: same origin)
+   * @param {string} [opts.siteKey] - Public site key (multi-tenant servers; omit for the default site)
+   * @param {string} [opts.action] - Relying-party action name, copied into the receipt (e.g. 'checkout')
+   * @param {string} [opts.nonce] - Opaque relying-party nonce, copied into the receipt
+   * @param {number} [opts.approachRate=30] - Hz for pointer samples between elements (0 = don't capture)
+   * @param {string} [opts.perturbMode='style'] - 'hardened' delivers the perturbation through the Web
+   *   Animations API instead of inline styles (falls back to 'style' where unsupported)
+   * @param {number} [opts.decoys=0] - Invisible copies of observed elements to inject as bot honeypots (0 = off)
    */
   constructor(opts = {}) {
     this._serverUrl = opts.serverUrl || '';
+    this._siteKey = opts.siteKey || null;
+    this._action = opts.action || null;
+    this._nonce = opts.nonce || null;
+    this._approachRate = opts.approachRate ?? 30;
+    this._perturbMode = opts.perturbMode === 'hardened' && CLNPEmbed._canHarden() ? 'hardened' : 'style';
+    this._decoyCount = Math.max(0, Math.min(opts.decoys | 0, CLNPEmbed.MAX_DECOYS));
 
     // State
     this._started = false;
     this._destroyed = false;
     this._token = null;
     this._challenge = null;
+    this._powNonce = null;         // Solved proof-of-work nonce (decimal string)
+    this._powPromise = null;       // Pending solver, if the challenge carries a puzzle
 
     // Observation
     this._selectors = [];
     this._observedElements = new Set();
+    this._textFields = new Set();  // Matched text inputs — keystroke timing only
+    this._decoys = new Map();      // Injected decoy -> reserved element index
+    this._decoyHits = 0;           // Decoy hovers + clicks logged
     this._mutationObserver = null;
 
     // Hover tracking
@@ -61,6 +83,7 @@ class CLNPEmbed {
     // Perturbation state
     this._rafId = null;
     this._nextPulseIndex = 0;      // Next pulse to fire from challenge schedule
+    this._perturbAnim = null;      // Animation carrying the offset on the hovered element (hardened mode)
 
     // Data collection
     this._pointer = [];            // [[wallTime, hoverTime, x, y, elementIndex], ...]
@@ -68,6 +91,21 @@ class CLNPEmbed {
     this._hovers = [];             // [[elemIdx, startWall, endWall, startHover, endHover], ...]
     this._pulseLog = [];           // [[hoverTime, wallTime, dx, dy, elementIndex], ...]
     this._elementRects = new Map(); // elementIndex -> { x, y, w, h }
+    this._approaches = [];         // [[elemIdx, hoverWall, [clickWall, x, y] | null, [[wallTime, x, y], ...], rect], ...]
+    this._approachBuf = [];        // Samples since the last hover ended: [[wallTime, x, y], ...]
+    this._clicks = [];             // [[elemIdx, downWall, upWall | null, relX, relY, dwellMs | null], ...]
+    this._pendingPress = null;     // { pointerId, click } until the matching pointerup
+    this._keys = [];               // [[fieldIdx, downWall, upWall | null], ...]
+    this._keysDown = new Map();    // e.code -> pending keystroke (never sent)
+    this._automation = {           // Automation signals block (see _noteEvent)
+      webdriver: navigator.webdriver === true,
+      events: 0, untrusted: 0, moves: 0,
+      coalescedApi: false, coalescedMoves: 0,
+      intervals: 0, intervalMean: 0, intervalSD: 0,
+    };
+    this._lastMoveStamp = 0;
+    this._intervalSum = 0;
+    this._intervalSumSq = 0;
 
     // Element index mapping
     this._elementIndexMap = new Map(); // DOM element -> integer index
@@ -87,9 +125,16 @@ class CLNPEmbed {
     this._onPointerMove = this._handlePointerMove.bind(this);
     this._onPointerEnter = this._handlePointerEnter.bind(this);
     this._onPointerLeave = this._handlePointerLeave.bind(this);
+    this._onPointerDown = this._handlePointerDown.bind(this);
+    this._onPointerUp = this._handlePointerUp.bind(this);
+    this._onKeyDown = this._handleKeyDown.bind(this);
+    this._onKeyUp = this._handleKeyUp.bind(this);
+    this._onWindowBlur = this._handleWindowBlur.bind(this);
     this._onTouchStart = this._handleTouchStart.bind(this);
     this._onTouchMove = this._handleTouchMove.bind(this);
     this._onTouchEnd = this._handleTouchEnd.bind(this);
+    this._onDecoyEnter = this._handleDecoyEnter.bind(this);
+    this._onDecoyClick = this._handleDecoyClick.bind(this);
     this._tick = this._perturbTick.bind(this);
 
     // Accelerometer
@@ -102,6 +147,8 @@ class CLNPEmbed {
 
   /**
    * Register CSS selectors for elements to observe and perturb.
+   * Matched text inputs, textareas and contenteditable fields are not
+   * perturbed — only their keystroke timing is recorded.
    * Can be called multiple times before or after start().
    * @param {string} selector - CSS selector string
    */
@@ -122,7 +169,7 @@ class CLNPEmbed {
     const res = await fetch(this._serverUrl + '/api/embed/challenge', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: '{}',
+      body: JSON.stringify(this._challengeRequest()),
     });
     if (!res.ok) throw new Error(`Embed challenge failed: ${res.status}`);
     const data = await res.json();
@@ -131,6 +178,12 @@ class CLNPEmbed {
     this._token = data.token;
     this._challenge = data.challenge;
 
+    // Proof of work runs in idle time while the user browses — not awaited
+    if (this._challenge.pow) {
+      this._powPromise = this._solvePow(this._challenge.pow).then(nonce => { this._powNonce = nonce; });
+      this._powPromise.catch(() => {}); // Surfaced by getResult()
+    }
+
     // Scan for observed elements
     this._scanElements();
 
@@ -155,6 +208,13 @@ class CLNPEmbed {
       document.addEventListener('pointermove', this._onPointerMove, { passive: true });
     }
 
+    // Presses on observed elements — both modes (touch fires pointer events too)
+    document.addEventListener('pointerdown', this._onPointerDown, { passive: true, capture: true });
+    document.addEventListener('pointerup', this._onPointerUp, { passive: true, capture: true });
+    // Releases anywhere — focus may have left the field while the key was held
+    document.addEventListener('keyup', this._onKeyUp, { passive: true, capture: true });
+    window.addEventListener('blur', this._onWindowBlur);
+
     // Start perturbation loop
     this._rafId = requestAnimationFrame(this._tick);
 
@@ -169,9 +229,14 @@ class CLNPEmbed {
    *   - 500+ pointer samples
    *   - 2+ pulses delivered
    *   - 2+ distinct elements interacted with
+   *   - proof-of-work solved (when the challenge carries one)
+   * Keyboard-heavy pages (signup forms) get there on keystrokes alone:
+   * KEYS_READY timed keystrokes in observed text fields.
    */
   isReady() {
     if (!this._started || !this._challenge) return false;
+    if (this._challenge.pow && this._powNonce === null) return false;
+    if (this._keys.length >= CLNPEmbed.KEYS_READY) return true;
     const pulsesDelivered = this._pulseLog.length;
     const uniqueElements = new Set(this._pointer.map(p => p[4])).size;
 
@@ -206,6 +271,9 @@ class CLNPEmbed {
       await new Promise(r => setTimeout(r, 500));
     }
 
+    // The server refuses unsolved puzzles, so finish the PoW even past the deadline
+    if (this._powPromise) await this._powPromise;
+
     // Build and submit payload
     const payload = this._buildPayload();
     const res = await fetch(this._serverUrl + '/api/embed/verify', {
@@ -234,10 +302,15 @@ class CLNPEmbed {
 
     // Remove listeners
     document.removeEventListener('pointermove', this._onPointerMove);
+    document.removeEventListener('pointerdown', this._onPointerDown, { capture: true });
+    document.removeEventListener('pointerup', this._onPointerUp, { capture: true });
+    document.removeEventListener('keyup', this._onKeyUp, { capture: true });
+    window.removeEventListener('blur', this._onWindowBlur);
     document.removeEventListener('touchstart', this._onTouchStart);
     document.removeEventListener('touchmove', this._onTouchMove);
     document.removeEventListener('touchend', this._onTouchEnd);
     document.removeEventListener('touchcancel', this._onTouchEnd);
+    for (const el of this._textFields) el.removeEventListener('keydown', this._onKeyDown);
     if (this._accelListening) {
       window.removeEventListener('devicemotion', this._onDeviceMotion);
     }
@@ -249,9 +322,11 @@ class CLNPEmbed {
     for (const el of this._observedElements) {
       el.removeEventListener('pointerenter', this._onPointerEnter);
       el.removeEventListener('pointerleave', this._onPointerLeave);
-      el.style.transform = ''; // Restore original transform
+      if (this._perturbMode === 'style') el.style.transform = ''; // Restore original transform
     }
 
+    for (const el of this._decoys.keys()) el.remove();
+
     // End any active hover
     if (this._hoveredEl) this._endHover();
   }
@@ -265,14 +340,138 @@ class CLNPEmbed {
       pointerSamples: this._pointer.length,
       pulsesDelivered: this._pulseLog.length,
       uniqueElements: new Set(this._pointer.map(p => p[4])).size,
+      approaches: this._approaches.length,
+      clicks: this._clicks.length,
+      keystrokes: this._keys.length,
+      decoyHits: this._decoyHits,
       isReady: this.isReady(),
       isHovering: this._hoveredEl !== null,
+      powSolved: this._challenge && this._challenge.pow ? this._powNonce !== null : null,
       observedElements: this._observedElements.size,
       deviceType: this._deviceType,
+      perturbMode: this._perturbMode,
     };
   }
 
 
+  // ─── INTERNAL: CHALLENGE REQUEST ─────────────────────────────
+
+  /**
+   * Body for /api/embed/challenge — only the fields that were configured.
+   */
+  _challengeRequest() {
+    const req = {};
+    if (this._siteKey) req.siteKey = this._siteKey;
+    if (this._action) req.action = this._action;
+    if (this._nonce) req.nonce = this._nonce;
+    return req;
+  }
+
+
+  // ─── INTERNAL: PROOF OF WORK ─────────────────────────────────
+  // AGENT COOKIE CRUMB: Hashcash — find a decimal nonce such that
+  // SHA-256("<salt>:<nonce>") has `difficulty` leading zero bits. Expected
+  // cost is 2^difficulty hashes. The search runs in requestIdleCallback
+  // slices (setTimeout fallback for Safari) capped at ~8ms, so the rAF
+  // perturbation loop never misses a frame. crypto.subtle is async per hash
+  // and far too slow for millions of calls, hence the small sync SHA-256.
+
+  /**
+   * Solve a server PoW puzzle without blocking the main thread.
+   * @param {Object} pow - { salt, difficulty } from the challenge
+   * @returns {Promise<string>} Nonce that satisfies the difficulty
+   */
+  _solvePow(pow) {
+    const SLICE_MS = 8;
+    const schedule = typeof requestIdleCallback === 'function'
+      ? cb => requestIdleCallback(cb, { timeout: 100 })
+      : cb => setTimeout(cb, 0);
+
+    return new Promise((resolve, reject) => {
+      let nonce = 0;
+      const work = (deadline) => {
+        if (this._destroyed) { reject(new Error('CLNPEmbed destroyed')); return; }
+        const sliceEnd = performance.now() + (deadline && !deadline.didTimeout
+          ? Math.min(SLICE_MS, deadline.timeRemaining())
+          : SLICE_MS);
+        do {
+          // Batch of 64 between clock reads — performance.now() is not free
+          for (let i = 0; i < 64; i++, nonce++) {
+            if (this._leadingZeroBits(this._sha256(pow.salt + ':' + nonce)) >= pow.difficulty) {
+              resolve(String(nonce));
+              return;
+            }
+          }
+        } while (performance.now() < sliceEnd);
+        schedule(work);
+      };
+      schedule(work);
+    });
+  }
+
+  _leadingZeroBits(words) {
+    let bits = 0;
+    for (let i = 0; i < words.length; i++) {
+      if (words[i] === 0) { bits += 32; continue; }
+      return bits + Math.clz32(words[i]);
+    }
+    return bits;
+  }
+
+  /**
+   * SHA-256 of an ASCII string.
+   * @returns {Uint32Array} Digest as 8 big-endian words
+   */
+  _sha256(str) {
+    const K = CLNPEmbed._sha256K || (CLNPEmbed._sha256K = CLNPEmbed._sha256Constants());
+    const len = str.length;
+    const blocks = ((len + 8) >> 6) + 1;
+    const w = new Uint32Array(blocks * 16);
+    for (let i = 0; i < len; i++) w[i >> 2] |= (str.charCodeAt(i) & 0xff) << (24 - (i & 3) * 8);
+    w[len >> 2] |= 0x80 << (24 - (len & 3) * 8);
+    w[blocks * 16 - 1] = len * 8;
+
+    const H = new Uint32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+      0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+    ]);
+    const W = new Uint32Array(64);
+    for (let b = 0; b < blocks; b++) {
+      for (let t = 0; t < 16; t++) W[t] = w[b * 16 + t];
+      for (let t = 16; t < 64; t++) {
+        const x = W[t - 15], y = W[t - 2];
+        const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+        const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+        W[t] = W[t - 16] + s0 + W[t - 7] + s1;
+      }
+      let a = H[0], bb = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+      for (let t = 0; t < 64; t++) {
+        const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+        const t1 = (h + S1 + ((e & f) ^ (~e & g)) + K[t] + W[t]) | 0;
+        const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+        const t2 = (S0 + ((a & bb) ^ (a & c) ^ (bb & c))) | 0;
+        h = g; g = f; f = e; e = (d + t1) | 0;
+        d = c; c = bb; bb = a; a = (t1 + t2) | 0;
+      }
+      H[0] += a; H[1] += bb; H[2] += c; H[3] += d;
+      H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+    }
+    return H;
+  }
+
+  /** Round constants: first 32 bits of the fractional cube roots of the first 64 primes. */
+  static _sha256Constants() {
+    const K = new Uint32Array(64);
+    for (let n = 2, i = 0; i < 64; n++) {
+      let prime = true;
+      for (let d = 2; d * d <= n; d++) if (n % d === 0) { prime = false; break; }
+      if (!prime) continue;
+      K[i++] = (Math.cbrt(n) % 1) * 0x100000000;
+    }
+    return K;
+  }
+
+
   // ─── INTERNAL: ELEMENT MANAGEMENT ────────────────────────────
 
   /**
@@ -283,18 +482,27 @@ class CLNPEmbed {
     for (const selector of this._selectors) {
       const els = document.querySelectorAll(selector);
       for (const el of els) {
-        if (this._observedElements.has(el)) continue;
-        this._observedElements.add(el);
+        if (this._observedElements.has(el) || this._textFields.has(el)) continue;
+        if (this._decoyAncestor(el)) continue;
 
         // Assign stable integer index
         const idx = this._nextElementIndex++;
         this._elementIndexMap.set(el, idx);
 
+        // Text fields: keystroke timing only — no hover, no perturbation
+        if (this._isTextField(el)) {
+          this._textFields.add(el);
+          el.addEventListener('keydown', this._onKeyDown, { passive: true });
+          continue;
+        }
+        this._observedElements.add(el);
+
         // Listen for hover
         el.addEventListener('pointerenter', this._onPointerEnter, { passive: true });
         el.addEventListener('pointerleave', this._onPointerLeave, { passive: true });
       }
     }
+    if (this._decoys.size < this._decoyCount && this._observedElements.size) this._placeDecoys();
   }
 
 
@@ -306,6 +514,8 @@ class CLNPEmbed {
 
     // End previous hover if any (shouldn't happen, but safety)
     if (this._hoveredEl) this._endHover();
+    // Full hover log: stop hovering rather than leave gaps the server would flag
+    if (this._hovers.length >= CLNPEmbed.MAX_HOVERS) return;
 
     this._hoveredEl = el;
     this._hoveredIndex = this._elementIndexMap.get(el);
@@ -318,6 +528,8 @@ class CLNPEmbed {
     this._elementRects.set(this._hoveredIndex, {
       x: rect.left, y: rect.top, w: rect.width, h: rect.height,
     });
+
+    this._finishApproach(this._hoveredIndex, this._hoverStartWall);
   }
 
   _handlePointerLeave(e) {
@@ -347,8 +559,8 @@ class CLNPEmbed {
       this._cumulativeHoverTime,
     ]);
 
-    // Clear CSS transform
-    this._hoveredEl.style.transform = '';
+    // Clear the perturbation
+    this._clearOffset();
 
     this._hoveredEl = null;
     this._hoveredIndex = -1;
@@ -358,10 +570,14 @@ class CLNPEmbed {
   // ─── INTERNAL: POINTER CAPTURE ───────────────────────────────
 
   _handlePointerMove(e) {
-    // Only capture during hover on observed elements
-    if (!this._hoveredEl || this._hoveredIndex < 0) return;
-
     const now = performance.now();
+    this._noteMove(e);
+
+    // Between elements: the reach toward the next one (downsampled)
+    if (!this._hoveredEl || this._hoveredIndex < 0) {
+      this._recordApproachSample(now, e.clientX, e.clientY);
+      return;
+    }
 
     // Update cumulative hover time
     if (this._lastHoverTick > 0) {
@@ -370,6 +586,7 @@ class CLNPEmbed {
     this._lastHoverTick = now;
 
     // Record pointer sample: [wallTime, hoverTime, x, y, elementIndex]
+    if (this._pointer.length >= CLNPEmbed.MAX_POINTER) return;
     this._pointer.push([
       now,
       this._cumulativeHoverTime,
@@ -380,6 +597,244 @@ class CLNPEmbed {
   }
 
 
+  // ─── INTERNAL: APPROACH MOVEMENTS ──────────────────────────
+  // AGENT COOKIE CRUMB: The reach from one element to the next is the most
+  // natural aimed movement on a page (Fitts' law territory), but hover
+  // capture only sees its last few pixels. Between hovers we keep a
+  // downsampled trail; entering an observed element closes it into an
+  // approach record with that element as target, carrying the rect captured
+  // at hover start — the page may scroll before the next reach. A press
+  // during that hover adds the click point — the endpoint the server uses
+  // for scatter. Desktop only: a finger doesn't travel between targets on
+  // screen.
+
+  _recordApproachSample(now, x, y) {
+    if (!this._approachRate || !this._challenge) return;
+    const buf = this._approachBuf;
+    if (buf.length && now - buf[buf.length - 1][0] < 1000 / this._approachRate) return;
+    buf.push([now, x, y]);
+    // Only the last APPROACH_MAX_MS matter — a reach is shorter than that
+    while (buf.length && now - buf[0][0] > CLNPEmbed.APPROACH_MAX_MS) buf.shift();
+  }
+
+  _finishApproach(elementIndex, hoverWall) {
+    const samples = this._approachBuf;
+    this._approachBuf = [];
+    if (samples.length < 3 || this._approaches.length >= CLNPEmbed.MAX_APPROACHES) return;
+    const r = this._elementRects.get(elementIndex);
+    this._approaches.push([elementIndex, hoverWall, null, samples, { x: r.x, y: r.y, w: r.w, h: r.h }]);
+  }
+
+  _handlePointerDown(e) {
+    const now = performance.now();
+    this._noteEvent(e);
+    this._recordPress(e, now);
+
+    if (!this._hoveredEl) return;
+    const last = this._approaches[this._approaches.length - 1];
+    // Only the press that ends this approach: same element, same hover, first press
+    if (!last || last[0] !== this._hoveredIndex || last[1] !== this._hoverStartWall || last[2]) return;
+    last[2] = [now, e.clientX, e.clientY];
+  }
+
+
+  // ─── INTERNAL: CLICK DYNAMICS ──────────────────────────────
+  // AGENT COOKIE CRUMB: A press on an observed element records where it
+  // landed RELATIVE to the element's rect (0…1 on each axis; humans spread
+  // around the center, scripts hit it exactly or land uniformly), how long
+  // the pointer dwelt on the element before pressing (desktop hover only —
+  // on touch the press IS the arrival) and, at pointerup, the press duration.
+
+  _recordPress(e, now) {
+    if (!this._challenge || this._clicks.length >= CLNPEmbed.MAX_CLICKS) return;
+    const el = this._observedAncestor(e.target);
+    if (!el) return;
+    const idx = this._elementIndexMap.get(el);
+    // Measured now: on touch, pointerdown precedes the touchstart that would
+    // refresh the cached rect, and the page may have scrolled since
+    const r = el.getBoundingClientRect();
+    const rect = { x: r.left, y: r.top, w: r.width, h: r.height };
+    if (!this._elementRects.has(idx)) this._elementRects.set(idx, rect);
+    if (!(rect.w > 0 && rect.h > 0)) return;
+
+    const dwell = !this._isTouch && this._hoveredIndex === idx ? now - this._hoverStartWall : null;
+    const click = [idx, now, null, (e.clientX - rect.x) / rect.w, (e.clientY - rect.y) / rect.h, dwell];
+    this._clicks.push(click);
+    this._pendingPress = { pointerId: e.pointerId, click };
+  }
+
+  _handlePointerUp(e) {
+    this._noteEvent(e);
+    const pending = this._pendingPress;
+    if (!pending || pending.pointerId !== e.pointerId) return;
+    pending.click[2] = performance.now();
+    this._pendingPress = null;
+  }
+
+  /**
+   * The observed element at or above `node`, if any.
+   */
+  _observedAncestor(node) {
+    while (node && node !== document.body) {
+      if (this._observedElements.has(node)) return node;
+      node = node.parentElement;
+    }
+    return null;
+  }
+
+
+  // ─── INTERNAL: DECOYS ──────────────────────────────────────
+  // AGENT COOKIE CRUMB: People hover what they can see; a script that sweeps
+  // every element matching the observed selectors (or dispatches events at
+  // them) doesn't check. With the `decoys` option, copies of observed
+  // elements are injected where nobody finds them by eye, in two kinds.
+  // Off-screen and inert: only a sweep that dispatches events at every
+  // match reaches them. Transparent and shrunk to a 2px spot on the bottom
+  // edge, still hit-testable: a bot driving real input (CDP, OS events) to
+  // the element's rect lands on it, while a person almost never crosses
+  // it. Both are hidden from assistive tech and the tab order. A hover or
+  // click on one is logged in the ordinary hover/click logs under an index
+  // from DECOY_INDEX_BASE up, so the payload doesn't advertise which
+  // entries are the trap; the server pulls them back out.
+
+  /**
+   * Inject decoys cloned from observed elements, so they match the same selectors.
+   */
+  _placeDecoys() {
+    const sources = [...this._observedElements];
+    for (let i = this._decoys.size; i < this._decoyCount; i++) {
+      const decoy = sources[i % sources.length].cloneNode(true);
+      for (const node of [decoy, ...decoy.querySelectorAll('*')]) {
+        // No duplicate ids, no inline handlers, no form owner
+        for (const attr of [...node.attributes]) {
+          if (attr.name === 'id' || attr.name === 'form' || attr.name.startsWith('on')) node.removeAttribute(attr.name);
+        }
+        // A cloned container keeps its links and buttons; none may take focus
+        node.removeAttribute('contenteditable');
+        node.setAttribute('tabindex', '-1');
+      }
+      decoy.setAttribute('aria-hidden', 'true');
+      const offScreen = i % 2 === 0;
+      // Inert takes it out of hit testing too — only for the one nothing can point at
+      if (offScreen) decoy.inert = true;
+      const place = offScreen
+        ? { position: 'fixed', left: '-10000px', top: '0' }
+        : {
+          position: 'fixed', left: '50%', bottom: '0', width: '2px', height: '2px',
+          'min-width': '0', 'min-height': '0', padding: '0', border: '0', overflow: 'hidden',
+          opacity: '0', 'pointer-events': 'auto', 'z-index': '2147483647',
+        };
+      for (const [prop, value] of Object.entries(place)) decoy.style.setProperty(prop, value, 'important');
+
+      this._decoys.set(decoy, CLNPEmbed.DECOY_INDEX_BASE + i);
+      decoy.addEventListener('pointerenter', this._onDecoyEnter, { passive: true });
+      decoy.addEventListener('click', this._onDecoyClick);
+      document.body.appendChild(decoy);
+    }
+  }
+
+  _handleDecoyEnter(e) {
+    if (this._decoyHits >= CLNPEmbed.MAX_DECOY_HITS || this._hovers.length >= CLNPEmbed.MAX_HOVERS) return;
+    const now = performance.now();
+    const hoverT = this._cumulativeHoverTime;
+    this._hovers.push([this._decoys.get(e.currentTarget), now, now, hoverT, hoverT]);
+    this._decoyHits++;
+  }
+
+  _handleDecoyClick(e) {
+    e.preventDefault(); // A cloned link or submit button must not act
+    if (this._decoyHits >= CLNPEmbed.MAX_DECOY_HITS) return;
+    const now = performance.now();
+    this._clicks.push([this._decoys.get(e.currentTarget), now, now, 0, 0, null]);
+    this._decoyHits++;
+  }
+
+  /**
+   * The decoy at or above `node`, if any.
+   */
+  _decoyAncestor(node) {
+    while (node && node !== document.body) {
+      if (this._decoys.has(node)) return node;
+      node = node.parentElement;
+    }
+    return null;
+  }
+
+
+  // ─── INTERNAL: KEYSTROKE TIMING ─────────────────────────────
+  // AGENT COOKIE CRUMB: Typing has a rhythm of its own — log-normal-ish
+  // inter-key intervals, bursts between pauses, overlapping presses (rollover)
+  // and hold times that vary key to key. We record WHEN keys go down and up
+  // and in which field, never WHICH key: e.code only pairs a keyup with its
+  // keydown and is dropped right after. Keyup is heard document-wide, since
+  // Tab or a click can move focus before the key comes back up. Auto-repeat
+  // and bare modifiers are skipped, and password fields are never matched
+  // (timing there is too close to the secret itself).
+
+  /**
+   * Is `el` a field people type into?
+   */
+  _isTextField(el) {
+    if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+    if (el.tagName !== 'INPUT') return false;
+    return CLNPEmbed.TEXT_INPUT_TYPES.includes((el.getAttribute('type') || 'text').toLowerCase());
+  }
+
+  _handleKeyDown(e) {
+    this._noteEvent(e);
+    if (!this._challenge || e.repeat || CLNPEmbed.MODIFIER_KEYS.includes(e.key)) return;
+    if (this._keys.length >= CLNPEmbed.MAX_KEYS || this._keysDown.has(e.code)) return;
+    const key = [this._elementIndexMap.get(e.currentTarget), performance.now(), null];
+    this._keys.push(key);
+    this._keysDown.set(e.code, key);
+  }
+
+  _handleKeyUp(e) {
+    const key = this._keysDown.get(e.code);
+    if (!key) return;
+    key[2] = performance.now();
+    this._keysDown.delete(e.code);
+  }
+
+  /** Keys released outside the page never send keyup — leave them open-ended. */
+  _handleWindowBlur() {
+    this._keysDown.clear();
+  }
+
+
+  // ─── INTERNAL: AUTOMATION SIGNALS ───────────────────────────
+  // AGENT COOKIE CRUMB: Cheap tells of a scripted page, independent of the
+  // biomechanics: events from dispatchEvent are untrusted, webdriver-driven
+  // browsers set navigator.webdriver, injected moves tick on a fixed
+  // cadence and never arrive coalesced (a real mouse polling faster than
+  // the frame rate delivers several positions per pointermove). Counters
+  // and a running interval mean/SD only — the server scores them.
+
+  _noteEvent(e) {
+    this._automation.events++;
+    if (!e.isTrusted) this._automation.untrusted++;
+  }
+
+  _noteMove(e) {
+    const a = this._automation;
+    this._noteEvent(e);
+    a.moves++;
+    if (typeof e.getCoalescedEvents === 'function') {
+      a.coalescedApi = true;
+      if (e.getCoalescedEvents().length > 1) a.coalescedMoves++;
+    }
+    // Running sums — intervals are short, so E[dt²] − mean² stays precise
+    const dt = e.timeStamp - this._lastMoveStamp;
+    this._lastMoveStamp = e.timeStamp;
+    if (a.moves === 1 || dt < 0 || dt >= CLNPEmbed.MOVE_PAUSE_MS) return;
+    a.intervals++;
+    this._intervalSum += dt;
+    this._intervalSumSq += dt * dt;
+    a.intervalMean = this._intervalSum / a.intervals;
+    a.intervalSD = Math.sqrt(Math.max(0, this._intervalSumSq / a.intervals - a.intervalMean * a.intervalMean));
+  }
+
+
   // ─── INTERNAL: TOUCH HANDLERS ──────────────────────────────
   // AGENT COOKIE CRUMB: On touch devices there is no "hover". Instead:
   //   - touchstart: finger down → find nearest observed element via elementFromPoint
@@ -391,6 +846,7 @@ class CLNPEmbed {
   // since the finger is physically touching the screen.
 
   _handleTouchStart(e) {
+    this._noteEvent(e);
     if (!e.touches.length) return;
     const touch = e.touches[0];
     this._touchActive = true;
@@ -408,6 +864,7 @@ class CLNPEmbed {
   }
 
   _handleTouchMove(e) {
+    this._noteMove(e);
     if (!this._touchActive || !e.touches.length) return;
     const touch = e.touches[0];
     const now = performance.now();
@@ -434,6 +891,7 @@ class CLNPEmbed {
     this._lastHoverTick = now;
 
     // Record pointer sample
+    if (this._pointer.length >= CLNPEmbed.MAX_POINTER) return;
     this._pointer.push([
       now,
       this._cumulativeHoverTime,
@@ -455,12 +913,7 @@ class CLNPEmbed {
     const el = document.elementFromPoint(x, y);
     if (!el) return null;
     // Check the element itself and its ancestors
-    let node = el;
-    while (node && node !== document.body) {
-      if (this._observedElements.has(node)) return node;
-      node = node.parentElement;
-    }
-    return null;
+    return this._observedAncestor(el);
   }
 
   /**
@@ -488,6 +941,7 @@ class CLNPEmbed {
    */
   _startTouchHover(el) {
     if (this._hoveredEl) this._endHover();
+    if (this._hovers.length >= CLNPEmbed.MAX_HOVERS) return;
     this._hoveredEl = el;
     this._hoveredIndex = this._elementIndexMap.get(el);
     this._hoverStartWall = performance.now();
@@ -525,13 +979,60 @@ class CLNPEmbed {
       // Compute perturbation
       const { x, y } = this._computePerturbation(hoverT);
 
-      // Apply CSS transform
-      this._hoveredEl.style.transform = `translate(${x.toFixed(2)}px, ${y.toFixed(2)}px)`;
+      this._applyOffset(x, y);
     }
 
     this._rafId = requestAnimationFrame(this._tick);
   }
 
+  /**
+   * Move the hovered element by (x, y) px.
+   * AGENT COOKIE CRUMB: In 'style' mode the offset is an inline transform —
+   * one line of script (a MutationObserver, or reading el.style.transform
+   * each frame) hands a DOM-reading bot the exact perturbation to replay.
+   * 'hardened' mode animates the individual `translate` property with an
+   * additive Web Animation instead: no style attribute changes, no
+   * mutation records, and getComputedStyle(el).transform stays untouched.
+   * That raises the bar; it does not hide the signal — getAnimations() and
+   * the computed `translate` still expose it to a bot that knows where to
+   * look. The server-side backstop is detectPerfectResponse(): replaying
+   * the signal produces a flat gain, a constant lag and no noise.
+   */
+  _applyOffset(x, y) {
+    const value = `${x.toFixed(2)}px ${y.toFixed(2)}px`;
+    if (this._perturbMode === 'style') {
+      this._hoveredEl.style.transform = `translate(${x.toFixed(2)}px, ${y.toFixed(2)}px)`;
+      return;
+    }
+    // Two identical keyframes hold the offset for as long as the animation runs
+    const frames = [{ translate: value }, { translate: value }];
+    if (!this._perturbAnim) {
+      this._perturbAnim = this._hoveredEl.animate(frames, {
+        duration: 1000, iterations: Infinity, fill: 'both', composite: 'add',
+      });
+    } else {
+      this._perturbAnim.effect.setKeyframes(frames);
+    }
+  }
+
+  /**
+   * Remove the offset from the hovered element.
+   */
+  _clearOffset() {
+    if (this._perturbMode === 'style') {
+      this._hoveredEl.style.transform = '';
+      return;
+    }
+    if (this._perturbAnim) this._perturbAnim.cancel();
+    this._perturbAnim = null;
+  }
+
+  /** Hardened mode needs Web Animations and the individual `translate` property. */
+  static _canHarden() {
+    return typeof Element !== 'undefined' && typeof Element.prototype.animate === 'function' &&
+      typeof CSS !== 'undefined' && CSS.supports('translate', '1px 1px');
+  }
+
   /**
    * Compute multi-sine + pulse perturbation at cumulative hover time.
    * Mirrors server-side computeEmbedPerturbation exactly.
@@ -543,9 +1044,9 @@ class CLNPEmbed {
     // Multi-sine component
     const elapsed = hoverT / 1000;
     for (const probe of pert.probes) {
-      const phase = 2 * Math.PI * probe.freq * elapsed;
-      px += probe.ampX * Math.sin(phase);
-      py += probe.ampY * Math.sin(phase + probe.phaseOffset);
+      // Y runs on its own frequency (freqY) so the server can separate the axes
+      px += probe.ampX * Math.sin(2 * Math.PI * probe.freq * elapsed);
+      py += probe.ampY * Math.sin(2 * Math.PI * (probe.freqY || probe.freq) * elapsed + probe.phaseOffset);
     }
 
     // Pulse component — check all pulses that have already been delivered
@@ -652,10 +1153,16 @@ class CLNPEmbed {
 
     return {
       token: this._token,
+      pow: this._powNonce !== null ? { nonce: this._powNonce } : undefined,
       pointer: this._pointer,
       accel: this._accel,
       hovers: this._hovers,
       pulseLog: this._pulseLog,
+      approaches: this._approaches,
+      clicks: this._clicks,
+      keys: this._keys,
+      automation: this._automation,
+      perturbMode: this._perturbMode,
       elements,
       inputMethod: this._detectInputMethod(),
       deviceProfile: {
@@ -720,6 +1227,20 @@ class CLNPEmbed {
   }
 }
 
+CLNPEmbed.APPROACH_MAX_MS = 3000;   // Approach trail kept before a hover
+CLNPEmbed.MAX_APPROACHES = 60;      // Server rejects more (EMBED_MAX_APPROACHES)
+CLNPEmbed.MAX_POINTER = 12000;      // Server rejects more (EMBED_MAX_POINTER)
+CLNPEmbed.MAX_HOVERS = 4000;        // Server rejects more (EMBED_MAX_HOVERS)
+CLNPEmbed.MAX_CLICKS = 100;
+CLNPEmbed.MAX_KEYS = 600;
+CLNPEmbed.MAX_DECOYS = 8;
+CLNPEmbed.MAX_DECOY_HITS = 20;
+CLNPEmbed.DECOY_INDEX_BASE = 1000000; // Element indices reserved for decoys (analysis.js DECOY_INDEX_BASE)
+CLNPEmbed.MOVE_PAUSE_MS = 100;      // Longer move-to-move gaps are pauses, not cadence
+CLNPEmbed.KEYS_READY = 40;          // Keystrokes that make isReady() true without hover
+CLNPEmbed.TEXT_INPUT_TYPES = ['text', 'email', 'search', 'tel', 'url', 'number'];
+CLNPEmbed.MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'AltGraph'];
+
 // Export for both module and script-tag usage
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = CLNPEmbed;
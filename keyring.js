@@ -0,0 +1,101 @@
+/**
+ * CLNP HMAC Key Ring
+ *
+ * AGENT COOKIE CRUMB: Challenge tokens and client hashes (ipHash, uaHash)
+ * are HMACs under a server secret. With a single secret, rotating it
+ * invalidated every outstanding challenge token, and an unset secret meant
+ * a fresh random one per process — every restart (Fly auto-stop!) broke
+ * in-flight challenges. The ring holds the CURRENT secret, which signs,
+ * plus PREVIOUS secrets that are still accepted while old tokens drain.
+ * Each secret has a short `kid` that is embedded in what it signs, so
+ * verification picks the right key without trying them all.
+ *
+ * Config (first match wins):
+ *   CLNP_SECRETS  "kid2:secret2,kid1:secret1" — first entry is current
+ *   CLNP_SECRET   legacy single secret; its kid is derived from it (logged
+ *                 at startup) — list it under that kid when moving to
+ *                 CLNP_SECRETS so outstanding tokens keep verifying
+ *   (neither)     ephemeral random secret — refused when requireSecret
+ *
+ * Rotation: prepend a new "kid:secret", deploy, and drop the old entry once
+ * the challenge TTL has passed. Zero external dependencies.
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+
+const KID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const MIN_SECRET_LENGTH = 16; // CLNP_SECRETS only — legacy CLNP_SECRET values are accepted as-is
+
+
+/**
+ * Stable, non-reversible kid for a secret configured without one.
+ */
+function derivedKid(secret) {
+  return "k" + crypto.createHash("sha256").update("kid:" + secret).digest("hex").slice(0, 8);
+}
+
+function parseSecretList(raw) {
+  return raw.split(",").map(s => s.trim()).filter(Boolean).map(entry => {
+    const sep = entry.indexOf(":");
+    if (sep <= 0) throw new Error("CLNP_SECRETS entries must be \"kid:secret\"");
+    const kid = entry.slice(0, sep);
+    const secret = entry.slice(sep + 1);
+    if (!KID_PATTERN.test(kid)) throw new Error(`Invalid secret kid "${kid}" (allowed: A-Z a-z 0-9 _ -, max 32)`);
+    if (secret.length < MIN_SECRET_LENGTH) throw new Error(`Secret "${kid}" is shorter than ${MIN_SECRET_LENGTH} characters`);
+    return { kid, secret };
+  });
+}
+
+
+/**
+ * Build the HMAC key ring.
+ *
+ * @param {Object} opts
+ * @param {string} [opts.secrets] - "kid:secret" list, current first (CLNP_SECRETS)
+ * @param {string} [opts.secret] - Legacy single secret (CLNP_SECRET)
+ * @param {boolean} [opts.requireSecret] - Throw instead of generating an ephemeral secret
+ * @returns {Object} Ring with current, get(kid), all, ephemeral
+ */
+function loadKeyRing(opts = {}) {
+  let entries;
+  let ephemeral = false;
+  if (opts.secrets) {
+    entries = parseSecretList(opts.secrets);
+  } else if (opts.secret) {
+    entries = [{ kid: derivedKid(opts.secret), secret: opts.secret }];
+  } else {
+    if (opts.requireSecret) {
+      throw new Error("No HMAC secret configured — set CLNP_SECRETS (or CLNP_SECRET) before running in production");
+    }
+    entries = [{ kid: "ephemeral", secret: crypto.randomBytes(32).toString("hex") }];
+    ephemeral = true;
+  }
+  if (!entries.length) throw new Error("CLNP_SECRETS is empty");
+
+  const byKid = new Map();
+  for (const { kid, secret } of entries) {
+    if (byKid.has(kid)) throw new Error(`Duplicate secret kid "${kid}"`);
+    byKid.set(kid, { kid, key: Buffer.from(secret, "utf8") });
+  }
+  const all = [...byKid.values()];
+
+  return {
+    /** Signing key: { kid, key } */
+    current: all[0],
+
+    /** All keys, current first — for payloads that predate kids. */
+    all,
+
+    /** True when no secret was configured and a random one is in use. */
+    ephemeral,
+
+    /** Key for a kid, or null if it has been rotated out (or never existed). */
+    get(kid) {
+      return byKid.get(kid) || null;
+    },
+  };
+}
+
+module.exports = { loadKeyRing, KID_PATTERN };
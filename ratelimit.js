@@ -0,0 +1,96 @@
+/**
+ * CLNP Rate Limiter
+ *
+ * AGENT COOKIE CRUMB: Plain token buckets, one per key. A bucket holds up
+ * to `burst` tokens and refills at `perMinute` tokens per minute; each
+ * request takes one token or is refused with the number of seconds until
+ * the next token arrives (→ HTTP 429 + Retry-After). Keys are built by the
+ * caller (server.js uses siteId + hashed client IP), so no PII lands here.
+ *
+ * Buckets live in process memory. That is deliberate: limits are a cheap
+ * first line of defence, and several processes on one host simply each
+ * enforce their own budget. Idle buckets that have refilled completely
+ * carry no information and are dropped by sweep(). `maxKeys` is a hard
+ * cap: when it is reached, take() sweeps at most once a second and then
+ * evicts the oldest bucket (Map insertion order), so a client rotating
+ * addresses costs neither unbounded memory nor an O(n) scan per request.
+ */
+
+"use strict";
+
+const DEFAULT_MAX_KEYS = 100000; // ~10MB worst case
+const FORCED_SWEEP_INTERVAL_MS = 1000;
+
+
+/**
+ * Create a token-bucket limiter.
+ *
+ * @param {Object} opts
+ * @param {number} opts.burst - Bucket capacity (max requests in a burst)
+ * @param {number} opts.perMinute - Sustained refill rate; 0 disables limiting
+ * @param {number} [opts.maxKeys] - Upper bound on tracked buckets
+ * @returns {Object} Limiter with take(key, now) and sweep(now)
+ */
+function createRateLimiter(opts) {
+  const burst = Math.max(1, Number(opts.burst) || 1);
+  const perMinute = Math.max(0, Number(opts.perMinute) || 0);
+  const refillPerMs = perMinute / 60000;
+  const maxKeys = opts.maxKeys || DEFAULT_MAX_KEYS;
+  const buckets = new Map(); // key → { tokens, updatedAt }
+  let lastForcedSweep = -Infinity;
+
+  function refill(bucket, now) {
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    bucket.tokens = Math.min(burst, bucket.tokens + elapsed * refillPerMs);
+    bucket.updatedAt = now;
+  }
+
+  return {
+    enabled: perMinute > 0,
+    burst,
+    perMinute,
+
+    /**
+     * Take one token for `key`.
+     * @returns {Object} { ok, remaining, retryAfterSec }
+     */
+    take(key, now = Date.now()) {
+      if (perMinute <= 0) return { ok: true, remaining: burst, retryAfterSec: 0 };
+
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        if (buckets.size >= maxKeys && now - lastForcedSweep >= FORCED_SWEEP_INTERVAL_MS) {
+          lastForcedSweep = now;
+          this.sweep(now);
+        }
+        // Still full — the oldest bucket goes
+        if (buckets.size >= maxKeys) buckets.delete(buckets.keys().next().value);
+        bucket = { tokens: burst, updatedAt: now };
+        buckets.set(key, bucket);
+      } else {
+        refill(bucket, now);
+      }
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { ok: true, remaining: Math.floor(bucket.tokens), retryAfterSec: 0 };
+      }
+      const retryAfterSec = Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerMs / 1000));
+      return { ok: false, remaining: 0, retryAfterSec };
+    },
+
+    /** Drop buckets that have refilled to capacity (indistinguishable from new). */
+    sweep(now = Date.now()) {
+      for (const [key, bucket] of buckets) {
+        refill(bucket, now);
+        if (bucket.tokens >= burst) buckets.delete(key);
+      }
+    },
+
+    size() {
+      return buckets.size;
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
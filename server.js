@@ -13,9 +13,14 @@
  *   POST /api/embed/challenge  — Generate embed challenge (smaller perturbations)
  *   POST /api/embed/verify     — Verify embed browsing data (7 metrics, no cognitive)
  *   GET  /api/health           — Health check
+ *   POST /api/receipt/redeem   — Server-to-server one-time receipt redemption (site secret)
+ *   GET  /.well-known/jwks.json — Public keys for offline receipt (JWT) verification
  *   GET  /api/admin/stats      — Aggregated session stats (auth required)
  *   GET  /api/admin/sessions   — Paginated session list (auth required)
  *   GET  /api/admin/session/:id — Full session detail (auth required)
+ *   GET  /api/admin/pow        — Current proof-of-work difficulty overrides (auth required)
+ *   POST /api/admin/pow        — Raise PoW difficulty for a site or ipHash (auth required)
+ *   GET  /api/admin/webhooks   — Webhook subscriptions and delivery status (auth required)
  *   GET  /admin                — Admin dashboard HTML (auth required)
  *   GET  /                     — Serve clnp-probe.html
  *   GET  /clnp-embed.js        — Serve embed client library
@@ -23,6 +28,29 @@
  *
  * Every verification (standalone + embed) logs a session record to
  * data/sessions.jsonl for ML training data collection.
+ *
+ * Multi-tenant: browsers pass a public site key to the challenge endpoints;
+ * each site (sites.js) has its own origins, redemption secret, threshold
+ * overrides, and a siteId stamped on challenges, receipts and sessions.
+ * Challenges may also carry a relying-party `action` name and opaque `nonce`,
+ * copied into the receipt so the RP can insist on the binding it expected.
+ * Each challenge is bound to the client that fetched it (IP hash, UA hash,
+ * Origin); a different submitter is rejected or flagged (CLNP_CLIENT_BINDING).
+ * Challenge issuance and verification are throttled per client + site with
+ * token buckets (ratelimit.js) — 429 + Retry-After when a budget runs out.
+ * Embed challenges can carry a hashcash proof-of-work puzzle whose difficulty
+ * rises per site or per ipHash; verify refuses challenges whose PoW is unsolved.
+ * Challenge tokens and client hashes are HMACs under a rotatable key ring
+ * (keyring.js, CLNP_SECRETS) — previous secrets keep verifying until dropped.
+ * Verification outcomes are pushed to subscribed backends as signed webhook
+ * events (webhooks.js), retried from a persisted queue on CLNP_DATA_DIR.
+ * Both clients report automation signals (isTrusted, navigator.webdriver,
+ * event cadence, coalescing); automation.js turns them into a risk score
+ * returned next to the verdict and stamped into the receipt.
+ *
+ * Outstanding challenges live in a pluggable store (store.js): in-memory by
+ * default, or file-backed on CLNP_DATA_DIR (CLNP_CHALLENGE_STORE=file) so
+ * they survive restarts and can be shared by several processes on one host.
  */
 
 "use strict";
@@ -32,7 +60,13 @@ const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
 const { URL } = require("url");
-const { analyze, analyzeEmbed } = require("./analysis.js");
+const { analyze, analyzeEmbed, standalonePlausibility } = require("./analysis.js");
+const { createStore } = require("./store.js");
+const { loadSites, DEFAULT_SITE_ID, CLIENT_BINDING_MODES, MAX_POW_DIFFICULTY } = require("./sites.js");
+const { createRateLimiter } = require("./ratelimit.js");
+const { loadKeyRing, KID_PATTERN } = require("./keyring.js");
+const { loadWebhookSubscriptions, createWebhookDispatcher } = require("./webhooks.js");
+const { assessAutomation } = require("./automation.js");
 
 const PORT = Number(process.env.PORT || 8080);
 const HOST = process.env.HOST || "127.0.0.1";
@@ -50,16 +84,98 @@ const MAX_BODY_BYTES = 2 * 1024 * 1024; // 2MB — enough for high-res pointer d
 const DATA_DIR = process.env.CLNP_DATA_DIR || path.join(__dirname, "data");
 const SESSIONS_FILE = path.join(DATA_DIR, "sessions.jsonl");
 const CLNP_ADMIN_TOKEN = process.env.CLNP_ADMIN_TOKEN || null;
-
-// HMAC secret for signing tokens and receipts
-const secretString = process.env.CLNP_SECRET || crypto.randomBytes(32).toString("hex");
-if (!process.env.CLNP_SECRET) {
-  console.warn("[clnp] CLNP_SECRET not set; using ephemeral secret for this process.");
+const CHALLENGE_STORE_KIND = process.env.CLNP_CHALLENGE_STORE || "memory";
+
+// HMAC key ring for challenge tokens and client hashes — see keyring.js.
+// Production (NODE_ENV=production or CLNP_REQUIRE_SECRET=1) refuses to
+// start on an ephemeral secret instead of silently breaking every restart.
+const REQUIRE_SECRET = process.env.CLNP_REQUIRE_SECRET === "1" || process.env.NODE_ENV === "production";
+let keyRing;
+try {
+  keyRing = loadKeyRing({
+    secrets: process.env.CLNP_SECRETS,
+    secret: process.env.CLNP_SECRET,
+    requireSecret: REQUIRE_SECRET,
+  });
+} catch (err) {
+  console.error(`[clnp] Refusing to start: ${err.message}`);
+  process.exit(1);
+}
+if (keyRing.ephemeral) {
+  console.warn("[clnp] CLNP_SECRETS / CLNP_SECRET not set; using ephemeral secret for this process.");
 }
-const HMAC_SECRET = Buffer.from(secretString, "utf8");
 
-// In-memory challenge store
-const challenges = new Map();
+// Receipt JWT config — receipts are Ed25519-signed so relying parties can
+// verify them offline against /.well-known/jwks.json (no shared secret).
+const RECEIPT_ISSUER = process.env.CLNP_RECEIPT_ISSUER || "clnp";
+// Audience of receipts issued for the implicit default site; configured sites use their own
+const RECEIPT_AUDIENCE = process.env.CLNP_RECEIPT_AUDIENCE || "clnp-relying-party";
+const RECEIPT_TTL_SEC = Number(process.env.CLNP_RECEIPT_TTL_SEC || 300);
+const RECEIPT_KEY_FILE = path.join(DATA_DIR, "receipt-key.pem");
+const RECEIPT_MAX_AGE_SEC = Number(process.env.CLNP_RECEIPT_MAX_AGE_SEC || 120);
+const RECEIPT_STORE_KIND = process.env.CLNP_RECEIPT_STORE || "file";
+// Shared secret the default site's backend presents to /api/receipt/redeem
+const CLNP_SITE_SECRET = process.env.CLNP_SITE_SECRET || null;
+
+// Client binding on verify: 'reject' (hard 403), 'flag' (risk flag in receipt + log), 'off'.
+// Default is 'flag' — IPs legitimately change mid-session (mobile handover, IPv4/IPv6).
+const CLIENT_BINDING_MODE = CLIENT_BINDING_MODES.includes(process.env.CLNP_CLIENT_BINDING)
+  ? process.env.CLNP_CLIENT_BINDING : "flag";
+
+// Rate limits (token buckets keyed on siteId + hashed IP). Verification runs
+// the CPU-heavy analysis, so its budget is tighter. PER_MIN=0 disables a limiter.
+const challengeLimiter = createRateLimiter({
+  burst: Number(process.env.CLNP_RATE_CHALLENGE_BURST || 20),
+  perMinute: Number(process.env.CLNP_RATE_CHALLENGE_PER_MIN ?? 10),
+});
+const verifyLimiter = createRateLimiter({
+  burst: Number(process.env.CLNP_RATE_VERIFY_BURST || 10),
+  perMinute: Number(process.env.CLNP_RATE_VERIFY_PER_MIN ?? 5),
+});
+// Limiter hits since process start, surfaced in /api/admin/stats
+const rateLimitHits = { since: Date.now(), challenge: 0, verify: 0, bySite: {} };
+
+// Embed proof-of-work: leading zero bits of SHA-256(salt:nonce). 0 disables.
+// Each rate-limit hit adds POW_PENALTY_STEP bits for that ipHash, decaying after POW_PENALTY_TTL_MS.
+const POW_DIFFICULTY = Math.min(MAX_POW_DIFFICULTY, Math.max(0, Number(process.env.CLNP_POW_DIFFICULTY || 0)));
+const POW_PENALTY_STEP = 4;
+const POW_PENALTY_MAX = 16;
+const POW_PENALTY_TTL_MS = 15 * 60 * 1000;
+
+// Site registry — see sites.js for the config format
+const sites = loadSites({
+  json: process.env.CLNP_SITES || null,
+  file: process.env.CLNP_SITES_FILE || path.join(DATA_DIR, "sites.json"),
+  defaultSecret: CLNP_SITE_SECRET,
+  defaultAudience: RECEIPT_AUDIENCE,
+  requireSiteKey: process.env.CLNP_REQUIRE_SITE_KEY === "1" || process.env.CLNP_REQUIRE_SITE_KEY === "true",
+});
+
+// Challenge store — 'memory' (per-process) or 'file' (shared, survives restarts)
+const challenges = createStore(CHALLENGE_STORE_KIND, {
+  dir: path.join(DATA_DIR, "challenges"),
+  usedRetentionMs: 10 * 60 * 1000,
+  expiryGraceMs: 60 * 1000,
+});
+
+// Webhook subscriptions + persisted delivery queue — see webhooks.js
+const webhooks = createWebhookDispatcher({
+  subscriptions: loadWebhookSubscriptions({
+    json: process.env.CLNP_WEBHOOKS || null,
+    file: process.env.CLNP_WEBHOOKS_FILE || path.join(DATA_DIR, "webhooks.json"),
+  }),
+  dir: path.join(DATA_DIR, "webhooks"),
+  maxAttempts: Number(process.env.CLNP_WEBHOOK_MAX_ATTEMPTS) || undefined,
+});
+const WEBHOOK_TICK_MS = 5000;
+
+// Issued receipts keyed by jti — markUsed() is the one-time redemption.
+// Consumed receipts are kept until they could no longer verify anyway (exp).
+const receipts = createStore(RECEIPT_STORE_KIND, {
+  dir: path.join(DATA_DIR, "receipts"),
+  usedRetentionMs: RECEIPT_TTL_SEC * 1000,
+  expiryGraceMs: 0,
+});
 
 
 // ─── CRYPTO HELPERS ─────────────────────────────────────────
@@ -74,24 +190,43 @@ function b64urlDecode(input) {
   return Buffer.from(input.replace(/-/g, "+").replace(/_/g, "/") + pad, "base64");
 }
 
-function signPayload(payloadB64) {
-  return b64urlEncode(crypto.createHmac("sha256", HMAC_SECRET).update(payloadB64).digest());
+// AGENT COOKIE CRUMB: Tokens are "<kid>.<payload>.<sig>" where sig is the
+// HMAC of "<kid>.<payload>" under that kid's ring key. Two-part tokens
+// ("<payload>.<sig>", no kid) were issued before the key ring existed and
+// are checked against every ring key until they expire.
+
+function signPayload(key, signedPart) {
+  return b64urlEncode(crypto.createHmac("sha256", key).update(signedPart).digest());
+}
+
+function signatureMatches(key, signedPart, sig) {
+  const sigBuf = Buffer.from(sig, "utf8");
+  const expBuf = Buffer.from(signPayload(key, signedPart), "utf8");
+  return sigBuf.length === expBuf.length && crypto.timingSafeEqual(sigBuf, expBuf);
 }
 
 function makeToken(data) {
-  const payloadB64 = b64urlEncode(JSON.stringify(data));
-  return `${payloadB64}.${signPayload(payloadB64)}`;
+  const { kid, key } = keyRing.current;
+  const signedPart = `${kid}.${b64urlEncode(JSON.stringify(data))}`;
+  return `${signedPart}.${signPayload(key, signedPart)}`;
 }
 
 function verifyToken(token) {
   if (typeof token !== "string") return null;
   const parts = token.split(".");
-  if (parts.length !== 2) return null;
-  const [payloadB64, sig] = parts;
-  const expected = signPayload(payloadB64);
-  const sigBuf = Buffer.from(sig, "utf8");
-  const expBuf = Buffer.from(expected, "utf8");
-  if (sigBuf.length !== expBuf.length || !crypto.timingSafeEqual(sigBuf, expBuf)) return null;
+  let payloadB64;
+  if (parts.length === 3) {
+    const [kid, payload, sig] = parts;
+    const ringKey = KID_PATTERN.test(kid) ? keyRing.get(kid) : null;
+    if (!ringKey || !signatureMatches(ringKey.key, `${kid}.${payload}`, sig)) return null;
+    payloadB64 = payload;
+  } else if (parts.length === 2) {
+    const [payload, sig] = parts;
+    if (!keyRing.all.some(ringKey => signatureMatches(ringKey.key, payload, sig))) return null;
+    payloadB64 = payload;
+  } else {
+    return null;
+  }
   try {
     return JSON.parse(b64urlDecode(payloadB64).toString("utf8"));
   } catch (_e) {
@@ -100,6 +235,119 @@ function verifyToken(token) {
 }
 
 
+// ─── RECEIPT SIGNING (JWT / EdDSA) ──────────────────────────
+// AGENT COOKIE CRUMB: Challenge tokens stay on the HMAC scheme above —
+// only this server ever checks them. Receipts go to OTHER services, so
+// they are standard compact JWTs (alg EdDSA, Ed25519) with iss/aud/iat/exp
+// and a kid. The signing key comes from CLNP_RECEIPT_KEY (PKCS#8 PEM) or
+// is generated once into CLNP_DATA_DIR/receipt-key.pem so it survives
+// restarts. Retired public keys can be kept in the JWKS during rotation
+// via CLNP_RECEIPT_EXTRA_PUBLIC_KEYS (one or more SPKI PEM blocks).
+
+/**
+ * RFC 7638 JWK thumbprint — stable kid derived from the public key itself.
+ */
+function jwkThumbprint(jwk) {
+  const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x });
+  return b64urlEncode(crypto.createHash("sha256").update(canonical).digest());
+}
+
+function loadReceiptSigningKey() {
+  if (process.env.CLNP_RECEIPT_KEY) {
+    return crypto.createPrivateKey(process.env.CLNP_RECEIPT_KEY.replace(/\\n/g, "\n"));
+  }
+  try {
+    return crypto.createPrivateKey(fs.readFileSync(RECEIPT_KEY_FILE, "utf8"));
+  } catch (_e) { /* not generated yet */ }
+
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  const pem = privateKey.export({ type: "pkcs8", format: "pem" });
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    // "wx": if another process generated one first, use theirs
+    fs.writeFileSync(RECEIPT_KEY_FILE, pem, { flag: "wx", mode: 0o600 });
+    console.log(`[clnp] Generated receipt signing key at ${RECEIPT_KEY_FILE}`);
+  } catch (err) {
+    if (err.code === "EEXIST") return crypto.createPrivateKey(fs.readFileSync(RECEIPT_KEY_FILE, "utf8"));
+    console.warn("[clnp] Could not persist receipt key; using ephemeral key:", err.message);
+  }
+  return privateKey;
+}
+
+function loadExtraReceiptPublicKeys() {
+  const raw = (process.env.CLNP_RECEIPT_EXTRA_PUBLIC_KEYS || "").replace(/\\n/g, "\n");
+  const blocks = raw.match(/-----BEGIN PUBLIC KEY-----[\s\S]+?-----END PUBLIC KEY-----/g) || [];
+  return blocks.map(pem => crypto.createPublicKey(pem));
+}
+
+function toJwk(publicKey) {
+  const jwk = publicKey.export({ format: "jwk" });
+  return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, kid: jwkThumbprint(jwk), alg: "EdDSA", use: "sig" };
+}
+
+const receiptSigningKey = loadReceiptSigningKey();
+const receiptJwks = [crypto.createPublicKey(receiptSigningKey), ...loadExtraReceiptPublicKeys()].map(toJwk);
+const RECEIPT_KID = receiptJwks[0].kid;
+const receiptVerifyKeys = new Map(receiptJwks.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" })]));
+
+/**
+ * Issue a signed receipt JWT and record its jti for one-time redemption.
+ * Registered claims (iss, aud, iat, exp, jti) are added here; callers
+ * pass only the CLNP verdict claims. aud is the issuing site's audience,
+ * so a receipt from one site is rejected by another site's backend.
+ *
+ * @param {Object} claims - Verdict claims (challengeId, siteId, score, verdict, ...)
+ * @param {Object} site - Site the challenge was issued for
+ * @returns {Promise<string>} Compact JWS
+ */
+async function makeReceipt(claims, site) {
+  const iat = Math.floor(Date.now() / 1000);
+  const header = { alg: "EdDSA", typ: "JWT", kid: RECEIPT_KID };
+  const payload = {
+    iss: RECEIPT_ISSUER,
+    aud: site.audience,
+    sub: claims.challengeId,
+    iat,
+    exp: iat + RECEIPT_TTL_SEC,
+    jti: crypto.randomBytes(12).toString("hex"),
+    ...claims,
+  };
+  const signingInput = `${b64urlEncode(JSON.stringify(header))}.${b64urlEncode(JSON.stringify(payload))}`;
+  const sig = crypto.sign(null, Buffer.from(signingInput, "utf8"), receiptSigningKey);
+  await receipts.put(payload.jti, { jti: payload.jti, challengeId: claims.challengeId, expiresAt: payload.exp * 1000, used: false });
+  return `${signingInput}.${b64urlEncode(sig)}`;
+}
+
+/**
+ * Verify a receipt JWT signed by any key in our JWKS.
+ * Checks signature, alg, iss and aud only — exp and max age are left to
+ * the caller so it can answer with a specific error code.
+ *
+ * @param {string} jwt - Compact JWS
+ * @param {string} audience - Expected aud (the redeeming site's audience)
+ * @returns {Object|null} Payload, or null if not a receipt we issued for this audience
+ */
+function verifyReceipt(jwt, audience) {
+  if (typeof jwt !== "string") return null;
+  const parts = jwt.split(".");
+  if (parts.length !== 3) return null;
+  let header, payload;
+  try {
+    header = JSON.parse(b64urlDecode(parts[0]).toString("utf8"));
+    payload = JSON.parse(b64urlDecode(parts[1]).toString("utf8"));
+  } catch (_e) {
+    return null;
+  }
+  if (!header || header.alg !== "EdDSA") return null;
+  const key = receiptVerifyKeys.get(header.kid);
+  if (!key) return null;
+  const ok = crypto.verify(null, Buffer.from(`${parts[0]}.${parts[1]}`, "utf8"), key, b64urlDecode(parts[2]));
+  if (!ok || !payload) return null;
+  if (payload.iss !== RECEIPT_ISSUER || payload.aud !== audience) return null;
+  return payload;
+}
+
+
 // ─── IP HASHING & DATA COLLECTION ───────────────────────────
 // AGENT COOKIE CRUMB: IP addresses are hashed with the server secret so
 // we can deduplicate users without storing PII. The hash is truncated to
@@ -114,13 +362,43 @@ function getClientIP(req) {
   return req.socket.remoteAddress || "unknown";
 }
 
-function hashIP(ip) {
-  return crypto.createHmac("sha256", HMAC_SECRET)
+// Hashes use the current ring key by default. After a rotation the same IP
+// hashes differently, so rate-limit buckets and session-log dedup restart;
+// challenge binding stays stable because fingerprints record their kid.
+function hashIP(ip, ringKey = keyRing.current) {
+  return crypto.createHmac("sha256", ringKey.key)
     .update(ip)
     .digest("hex")
     .slice(0, 16);
 }
 
+// Same keyed hash as hashIP, domain-separated so a UA can never collide with an IP
+function hashUserAgent(ua, ringKey = keyRing.current) {
+  return crypto.createHmac("sha256", ringKey.key)
+    .update("ua:" + ua)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Who is making this request — stored on the challenge at issuance and
+ * compared at verify time to catch challenge relaying (solver farms).
+ *
+ * @param {Object} req - Incoming request
+ * @param {string} [kid] - Ring key to hash under (default: current)
+ * @returns {Object|null} { kid, ipHash, uaHash, origin }, or null if kid was rotated out
+ */
+function clientFingerprint(req, kid = keyRing.current.kid) {
+  const ringKey = keyRing.get(kid);
+  if (!ringKey) return null;
+  return {
+    kid,
+    ipHash: hashIP(getClientIP(req), ringKey),
+    uaHash: hashUserAgent(req.headers["user-agent"] || "unknown", ringKey),
+    origin: req.headers.origin || null,
+  };
+}
+
 let dataDirectoryReady = false;
 
 function ensureDataDirectory() {
@@ -149,6 +427,27 @@ function logSession(record) {
   }
 }
 
+/**
+ * Queue a verification.completed webhook event. Fire-and-forget: a
+ * persistence failure is logged but never fails the verify response.
+ */
+function emitVerificationEvent(mode, challenge, site, result, riskFlags) {
+  if (!webhooks.enabled) return;
+  webhooks.enqueue("verification.completed", {
+    challengeId: challenge.challengeId,
+    siteId: site.id,
+    action: challenge.action,
+    mode,
+    verdict: result.verdict,
+    verdictClass: result.verdictClass,
+    overall: Number(result.overall.toFixed(3)),
+    deviceType: result.inputMethod || "unknown",
+    keyboardOnly: result.keyboardOnly === true,
+    riskFlags,
+    verifiedAt: Date.now(),
+  }).catch(err => console.error("[clnp] Failed to queue webhook event:", err.message));
+}
+
 
 // ─── ADMIN AUTHENTICATION ───────────────────────────────────
 // AGENT COOKIE CRUMB: Admin endpoints require CLNP_ADMIN_TOKEN.
@@ -181,6 +480,23 @@ function authenticateAdmin(req, url) {
   return { ok: true };
 }
 
+/**
+ * Authenticate a relying party's backend for receipt redemption.
+ * Same shape as authenticateAdmin but Bearer-header only — the site
+ * secret is server-to-server and must never appear in a URL. The secret
+ * identifies the site, so the result carries it.
+ */
+function authenticateSite(req) {
+  if (!sites.list().some(site => site.hasSecret)) return { ok: false, status: 503, error: "redeem_not_configured" };
+
+  const authHeader = req.headers["authorization"];
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return { ok: false, status: 401, error: "missing_site_secret" };
+  const site = sites.bySecret(authHeader.slice(7));
+  if (!site) return { ok: false, status: 401, error: "invalid_site_secret" };
+
+  return { ok: true, site };
+}
+
 
 // ─── ADMIN DATA HELPERS ─────────────────────────────────────
 // AGENT COOKIE CRUMB: Admin endpoints read sessions.jsonl line by line.
@@ -200,6 +516,11 @@ function readAllSessions() {
   }
 }
 
+/** Sessions logged before multi-tenancy have no siteId — they belong to the default site. */
+function filterBySite(sessions, siteId) {
+  return sessions.filter(s => (s.siteId || DEFAULT_SITE_ID) === siteId);
+}
+
 function computeAdminStats(sessions) {
   const now = Date.now();
   const todayStart = new Date().setHours(0, 0, 0, 0);
@@ -237,6 +558,13 @@ function computeAdminStats(sessions) {
     byVerdict[vc] = (byVerdict[vc] || 0) + 1;
   }
 
+  // By site
+  const bySite = {};
+  for (const s of sessions) {
+    const site = s.siteId || DEFAULT_SITE_ID;
+    bySite[site] = (bySite[site] || 0) + 1;
+  }
+
   // By mode
   const byMode = {};
   for (const s of sessions) {
@@ -278,7 +606,7 @@ function computeAdminStats(sessions) {
 
   return {
     total, today, recentRate: recentHour,
-    byDay, byDevice, byVerdict, byMode,
+    byDay, byDevice, byVerdict, byMode, bySite,
     scoreDistribution, metricAverages,
   };
 }
@@ -286,18 +614,35 @@ function computeAdminStats(sessions) {
 
 // ─── HTTP HELPERS ───────────────────────────────────────────
 
+// CORS headers are set per request by applyCors() in the router and merged here
 function json(res, statusCode, body) {
   res.writeHead(statusCode, {
     "Content-Type": "application/json; charset=utf-8",
     "Cache-Control": "no-store",
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
     "X-Content-Type-Options": "nosniff",
   });
   res.end(JSON.stringify(body));
 }
 
+/**
+ * Set CORS headers for this request. While any site accepts every origin
+ * (or none is configured, leaving the implicit default site) this stays
+ * "*"; otherwise only origins listed by some site are echoed back.
+ * Per-site origin enforcement happens in the handlers once the site is
+ * known.
+ */
+function applyCors(req, res) {
+  const origin = req.headers.origin;
+  if (sites.hasWildcardOrigin()) {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+  } else {
+    res.setHeader("Vary", "Origin");
+    if (origin && sites.isKnownOrigin(origin)) res.setHeader("Access-Control-Allow-Origin", origin);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+}
+
 function readJsonBody(req) {
   return new Promise((resolve, reject) => {
     let total = 0, body = "";
@@ -350,14 +695,37 @@ function randRange(lo, hi) {
   return lo + Math.random() * (hi - lo);
 }
 
-function generateChallenge() {
+/**
+ * Pick a Y-axis frequency for each X probe from the rest of the pool.
+ * AGENT COOKIE CRUMB: X and Y on disjoint frequencies ("zippered"
+ * multisine) is what makes the 2×2 transfer function identifiable —
+ * at an X frequency only the X input is active, and vice versa. Y picks
+ * keep ≥0.35Hz from every X probe so the two never share a Welch bin;
+ * if the pool runs short, the spacing requirement is dropped.
+ */
+function pickYProbeFreqs(xFreqs) {
+  const rest = FREQ_POOL.filter(f => !xFreqs.includes(f));
+  const spaced = rest.filter(f => xFreqs.every(x => Math.abs(f - x) >= 0.35));
+  const pool = spaced.length >= xFreqs.length ? spaced : rest;
+  return pickRandom(pool, xFreqs.length).sort((a, b) => a - b);
+}
+
+/**
+ * @param {Object} ctx
+ * @param {string} ctx.siteId - Issuing site
+ * @param {Object} ctx.binding - Relying-party { action, nonce }
+ * @param {Object} ctx.client - clientFingerprint() of the requester
+ */
+async function generateChallenge({ siteId, binding, client }) {
   const challengeId = crypto.randomBytes(16).toString("hex");
   const now = Date.now();
 
   // Randomize probe frequencies (pick 5 from pool)
   const probeFreqsPicked = pickRandom(FREQ_POOL, 5).sort((a, b) => a - b);
-  const probes = probeFreqsPicked.map(freq => ({
+  const probeFreqsY = pickYProbeFreqs(probeFreqsPicked);
+  const probes = probeFreqsPicked.map((freq, i) => ({
     freq,
+    freqY: probeFreqsY[i],
     ampX: Math.round(randRange(3, 7)),
     ampY: Math.round(randRange(1, 3)),
     phaseOffset: Math.PI / 3 + randRange(-0.3, 0.3),
@@ -421,6 +789,10 @@ function generateChallenge() {
 
   const challenge = {
     challengeId,
+    siteId,
+    action: binding.action,
+    nonce: binding.nonce,
+    client,
     issuedAt: now,
     expiresAt: now + CHALLENGE_TTL_MS,
     freeMoveDuration,
@@ -448,7 +820,7 @@ function generateChallenge() {
     used: false,
   };
 
-  challenges.set(challengeId, challenge);
+  await challenges.put(challengeId, challenge);
   return challenge;
 }
 
@@ -487,7 +859,14 @@ function clientParams(challenge) {
 // is the target). No cognitive task. Pulses are spaced in cumulative
 // hover-time domain — they fire after enough hover interaction.
 
-function generateEmbedChallenge() {
+/**
+ * @param {Object} ctx
+ * @param {string} ctx.siteId - Issuing site
+ * @param {Object} ctx.binding - Relying-party { action, nonce }
+ * @param {Object} ctx.client - clientFingerprint() of the requester
+ * @param {number} ctx.powDifficulty - Proof-of-work bits (0 = no puzzle)
+ */
+async function generateEmbedChallenge({ siteId, binding, client, powDifficulty }) {
   const challengeId = crypto.randomBytes(16).toString("hex");
   const now = Date.now();
 
@@ -498,8 +877,10 @@ function generateEmbedChallenge() {
   // samples over 8s hover gives the FFT enough data to extract coherent signal
   // at these amplitudes. The goal: zero visual artifact, measurable visuomotor coupling.
   const probeFreqsPicked = pickRandom(FREQ_POOL, 5).sort((a, b) => a - b);
-  const probes = probeFreqsPicked.map(freq => ({
+  const probeFreqsY = pickYProbeFreqs(probeFreqsPicked);
+  const probes = probeFreqsPicked.map((freq, i) => ({
     freq,
+    freqY: probeFreqsY[i],
     ampX: +(randRange(0.15, 0.35)).toFixed(3),
     ampY: +(randRange(0.05, 0.15)).toFixed(3),
     phaseOffset: Math.PI / 3 + randRange(-0.3, 0.3),
@@ -526,9 +907,14 @@ function generateEmbedChallenge() {
 
   const challenge = {
     challengeId,
+    siteId,
+    action: binding.action,
+    nonce: binding.nonce,
+    client,
     issuedAt: now,
     expiresAt: now + CHALLENGE_TTL_MS * 2, // Embed gets longer TTL (6 min) — users browse at their own pace
     mode: "embed",
+    pow: powDifficulty > 0 ? { salt: crypto.randomBytes(8).toString("hex"), difficulty: powDifficulty } : null,
     perturbation: {
       probes,
       pulses,
@@ -538,7 +924,7 @@ function generateEmbedChallenge() {
     used: false,
   };
 
-  challenges.set(challengeId, challenge);
+  await challenges.put(challengeId, challenge);
   return challenge;
 }
 
@@ -554,21 +940,214 @@ function embedClientParams(challenge) {
       pulseHoldDuration: challenge.perturbation.pulseHoldDuration,
       pulseReturnDuration: challenge.perturbation.pulseReturnDuration,
     },
+    pow: challenge.pow ? { algorithm: "sha256", salt: challenge.pow.salt, difficulty: challenge.pow.difficulty } : null,
   };
 }
 
 
+// ─── PROOF OF WORK ──────────────────────────────────────────
+// AGENT COOKIE CRUMB: IP rate limits do nothing against residential-proxy
+// botnets, so embed challenges can carry a hashcash puzzle: find a decimal
+// nonce such that SHA-256("<salt>:<nonce>") starts with `difficulty` zero
+// bits. CLNPEmbed solves it in idle callbacks while the user browses; the
+// solution rides along in the verify payload. Cost to us: one hash. Cost to
+// a bot farm: 2^difficulty hashes per challenge. Difficulty = site base
+// (or CLNP_POW_DIFFICULTY) + a decaying per-ipHash penalty that grows each
+// time that client trips a rate limit or an admin raises it.
+
+const powSiteOverrides = new Map(); // siteId → difficulty (runtime, via /api/admin/pow)
+const powIpPenalties = new Map();   // ipHash → { extraBits, until }
+
+function powDifficultyFor(site, ipHash, now = Date.now()) {
+  const base = powSiteOverrides.has(site.id)
+    ? powSiteOverrides.get(site.id)
+    : (site.powDifficulty ?? POW_DIFFICULTY);
+  const penalty = powIpPenalties.get(ipHash);
+  const extra = penalty && penalty.until > now ? penalty.extraBits : 0;
+  return Math.min(MAX_POW_DIFFICULTY, base + extra);
+}
+
+/**
+ * Raise the PoW penalty for a client. Called on rate-limit hits (step) or
+ * by an admin (absolute extraBits + ttl).
+ */
+function raisePowPenalty(ipHash, extraBits = null, ttlMs = POW_PENALTY_TTL_MS, now = Date.now()) {
+  const current = powIpPenalties.get(ipHash);
+  const currentBits = current && current.until > now ? current.extraBits : 0;
+  const bits = extraBits === null ? Math.min(POW_PENALTY_MAX, currentBits + POW_PENALTY_STEP) : extraBits;
+  powIpPenalties.set(ipHash, { extraBits: bits, until: now + ttlMs });
+}
+
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) { bits += 8; continue; }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+function powStatus(now = Date.now()) {
+  const ipPenalties = [];
+  for (const [ipHash, penalty] of powIpPenalties) {
+    if (penalty.until > now) ipPenalties.push({ ipHash, extraBits: penalty.extraBits, until: penalty.until });
+  }
+  return {
+    defaultDifficulty: POW_DIFFICULTY,
+    maxDifficulty: MAX_POW_DIFFICULTY,
+    sites: sites.list().map(({ id }) => {
+      const site = sites.byId(id);
+      return { id, difficulty: powDifficultyFor(site, null, now), override: powSiteOverrides.has(id) };
+    }),
+    ipPenalties,
+  };
+}
+
+/**
+ * Check a submitted PoW solution against the challenge's puzzle.
+ * @returns {string|null} Error code, or null when solved (or no puzzle)
+ */
+function checkPow(challenge, submitted) {
+  if (!challenge.pow) return null;
+  const nonce = submitted && submitted.nonce;
+  if (typeof nonce !== "string" || !/^\d{1,20}$/.test(nonce)) return "pow_required";
+  const digest = crypto.createHash("sha256").update(`${challenge.pow.salt}:${nonce}`).digest();
+  return leadingZeroBits(digest) >= challenge.pow.difficulty ? null : "pow_invalid";
+}
+
+
+// ─── RATE LIMITING ──────────────────────────────────────────
+// AGENT COOKIE CRUMB: Without throttling one script could mint unlimited
+// challenges (filling the store) and hammer the analyze() path. Buckets
+// are keyed on the site AND the hashed client IP, so one noisy tenant
+// can't exhaust another tenant's budget for the same NAT'd address.
+
+/**
+ * Take one token for this client from `limiter`. Writes the 429 response
+ * itself (with Retry-After) and returns false when the budget is spent.
+ *
+ * @param {string} kind - 'challenge' | 'verify' (for admin stats)
+ * @param {string} siteId - Site the request belongs to
+ */
+function enforceRateLimit(req, res, limiter, kind, siteId) {
+  const ipHash = hashIP(getClientIP(req));
+  const decision = limiter.take(`${siteId}:${ipHash}`);
+  if (decision.ok) return true;
+
+  // Abuse signal: make this client's next embed challenges more expensive
+  raisePowPenalty(ipHash);
+  rateLimitHits[kind]++;
+  const siteHits = rateLimitHits.bySite[siteId] || (rateLimitHits.bySite[siteId] = { challenge: 0, verify: 0 });
+  siteHits[kind]++;
+
+  res.setHeader("Retry-After", String(decision.retryAfterSec));
+  json(res, 429, { ok: false, error: "rate_limited", retryAfterSec: decision.retryAfterSec });
+  return false;
+}
+
+
 // ─── ENDPOINT HANDLERS ──────────────────────────────────────
 
-async function handleChallenge(_req, res) {
-  const challenge = generateChallenge();
+/**
+ * Resolve the site for a challenge request from body.siteKey and check the
+ * browser's Origin against it. Writes the error response itself and
+ * returns null on failure.
+ */
+function resolveRequestSite(req, res, body) {
+  const site = sites.bySiteKey(body.siteKey);
+  if (!site) {
+    json(res, body.siteKey ? 403 : 400, { ok: false, error: body.siteKey ? "invalid_site_key" : "missing_site_key" });
+    return null;
+  }
+  if (!sites.isOriginAllowed(site, req.headers.origin)) {
+    json(res, 403, { ok: false, error: "origin_not_allowed" });
+    return null;
+  }
+  return site;
+}
+
+// Action names are short identifiers (like reCAPTCHA actions); nonces are opaque to us.
+const ACTION_PATTERN = /^[A-Za-z0-9_.\/-]{1,64}$/;
+const MAX_NONCE_LENGTH = 256;
+const EMBED_MAX_POINTER = 12000; // Analysis cost grows with samples (CLNPEmbed.MAX_POINTER)
+const EMBED_MAX_HOVERS = 4000;   // ...and with hover intervals (CLNPEmbed.MAX_HOVERS)
+const EMBED_MAX_APPROACHES = 60; // ...and with approach records (CLNPEmbed.MAX_APPROACHES)
+const EMBED_MIN_KEYS = 20; // Keystrokes that stand in for pointer data (EmbedScoringConfig.minKeystrokes)
+
+/**
+ * Validate the relying-party binding (action + nonce) from a challenge
+ * request. Both are optional. Writes the error response itself and
+ * returns null on failure.
+ */
+function parseBinding(res, body) {
+  const action = body.action === undefined || body.action === null ? null : body.action;
+  const nonce = body.nonce === undefined || body.nonce === null ? null : body.nonce;
+  if (action !== null && (typeof action !== "string" || !ACTION_PATTERN.test(action))) {
+    json(res, 400, { ok: false, error: "invalid_action" });
+    return null;
+  }
+  if (nonce !== null && (typeof nonce !== "string" || !nonce || nonce.length > MAX_NONCE_LENGTH)) {
+    json(res, 400, { ok: false, error: "invalid_nonce" });
+    return null;
+  }
+  return { action, nonce };
+}
+
+/**
+ * Compare the submitting client against the one the challenge was issued to.
+ * Challenges stored before binding existed carry no `client` and pass.
+ * The submitter is re-hashed under the issuing fingerprint's kid so a key
+ * rotation mid-challenge does not read as a different client.
+ *
+ * @returns {Object} { mode, mismatches: ['ip' | 'userAgent' | 'origin'], riskFlags }
+ */
+function checkClientBinding(challenge, req, site) {
+  const mode = site.clientBinding || CLIENT_BINDING_MODE;
+  const issued = challenge.client;
+  const mismatches = [];
+  if (mode !== "off" && issued) {
+    // Fingerprints from before the key ring have no kid; they were hashed with what is now the current key
+    const client = clientFingerprint(req, issued.kid) || clientFingerprint(req);
+    if (issued.ipHash !== client.ipHash) mismatches.push("ip");
+    if (issued.uaHash !== client.uaHash) mismatches.push("userAgent");
+    if ((issued.origin || null) !== client.origin) mismatches.push("origin");
+  }
+  const flagNames = { ip: "client_ip_mismatch", userAgent: "client_ua_mismatch", origin: "client_origin_mismatch" };
+  return { mode, mismatches, riskFlags: mismatches.map(m => flagNames[m]) };
+}
+
+/**
+ * Site a stored challenge was issued for. A site removed from config since
+ * issuance degrades to default thresholds/origins rather than failing.
+ */
+function challengeSite(challenge) {
+  return sites.byId(challenge.siteId) || {
+    id: challenge.siteId || DEFAULT_SITE_ID, origins: ["*"], audience: RECEIPT_AUDIENCE, thresholds: {},
+  };
+}
+
+async function handleChallenge(req, res) {
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    json(res, 400, { ok: false, error: err.message }); return;
+  }
+  const site = resolveRequestSite(req, res, body);
+  if (!site) return;
+  if (!enforceRateLimit(req, res, challengeLimiter, "challenge", site.id)) return;
+  const binding = parseBinding(res, body);
+  if (!binding) return;
+
+  const challenge = await generateChallenge({ siteId: site.id, binding, client: clientFingerprint(req) });
   const token = makeToken({ challengeId: challenge.challengeId, expiresAt: challenge.expiresAt });
 
   console.log(`[clnp] Challenge ${challenge.challengeId.slice(0, 8)} created — ` +
     `probes: [${challenge.perturbation.probes.map(p => p.freq).join(', ')}]Hz, ` +
     `${challenge.perturbation.pulses.length} pulses, ` +
     `path: ${challenge.path.freqX}/${challenge.path.freqY}Hz, ` +
-    `cog: ${challenge.cogTask.targetCount} ${challenge.cogTask.targetColorName}`);
+    `cog: ${challenge.cogTask.targetCount} ${challenge.cogTask.targetColorName}, site: ${site.id}`);
 
   json(res, 200, {
     ok: true,
@@ -591,21 +1170,40 @@ async function handleVerify(req, res) {
     json(res, 401, { ok: false, error: "invalid_token" }); return;
   }
 
-  const challenge = challenges.get(tokenData.challengeId);
+  const challenge = await challenges.get(tokenData.challengeId);
   if (!challenge) {
     json(res, 404, { ok: false, error: "challenge_not_found" }); return;
   }
+  const site = challengeSite(challenge);
+  if (!sites.isOriginAllowed(site, req.headers.origin)) {
+    json(res, 403, { ok: false, error: "origin_not_allowed" }); return;
+  }
+  if (!enforceRateLimit(req, res, verifyLimiter, "verify", site.id)) return;
   if (challenge.used) {
     json(res, 409, { ok: false, error: "challenge_already_used" }); return;
   }
   if (Date.now() > challenge.expiresAt) {
-    challenge.used = true;
+    await challenges.markUsed(challenge.challengeId);
     json(res, 410, { ok: false, error: "challenge_expired" }); return;
   }
 
-  // Mark as used
-  challenge.used = true;
-  challenge.usedAt = Date.now();
+  // Client binding — checked before consuming so a relayed submission can't burn the challenge
+  const client = clientFingerprint(req);
+  const binding = checkClientBinding(challenge, req, site);
+  if (binding.mode === "reject" && binding.mismatches.length > 0) {
+    json(res, 403, { ok: false, error: "client_binding_mismatch", mismatches: binding.mismatches }); return;
+  }
+
+  // Proof of work — also before consuming, so a solver still running can retry
+  const powError = checkPow(challenge, body.pow);
+  if (powError) {
+    json(res, 403, { ok: false, error: powError }); return;
+  }
+
+  // Mark as used — atomic across processes; losing the race means a replay
+  if (!(await challenges.markUsed(challenge.challengeId))) {
+    json(res, 409, { ok: false, error: "challenge_already_used" }); return;
+  }
 
   // Validate raw data shape
   if (!Array.isArray(body.pointer) || body.pointer.length < 50) {
@@ -628,26 +1226,43 @@ async function handleVerify(req, res) {
     cogAnswer: typeof body.cogAnswer === "number" ? body.cogAnswer : null,
   };
 
+  // Temporal plausibility against server time — too fast is refused outright,
+  // anything else implausible voids the verdict inside analyze()
+  const plausibility = standalonePlausibility(rawData, challenge, Date.now() - challenge.issuedAt);
+  if (plausibility.reasons.includes("submitted_too_fast")) {
+    json(res, 400, { ok: false, error: "submission_too_fast" }); return;
+  }
+
+  const automation = assessAutomation(body.automation);
+
   let result;
   try {
-    result = analyze(rawData, challenge);
+    result = analyze(rawData, challenge, { thresholds: site.thresholds.standalone, plausibility });
   } catch (err) {
     console.error(`[clnp] Analysis error for ${challenge.challengeId.slice(0, 8)}:`, err.message);
     json(res, 500, { ok: false, error: "analysis_failed" }); return;
   }
 
   // Generate signed receipt
-  const receipt = makeToken({
+  const receipt = await makeReceipt({
     challengeId: challenge.challengeId,
-    verified: result.overall >= 0.65,
+    siteId: site.id,
+    action: challenge.action,
+    nonce: challenge.nonce,
+    mode: "standalone",
+    verified: result.verdictClass === "score-human",
     score: Number(result.overall.toFixed(3)),
     verdict: result.verdict,
+    riskFlags: binding.riskFlags,
+    automationRisk: automation.risk,
+    automationFlags: automation.flags,
     verifiedAt: Date.now(),
-  });
+  }, site);
 
   console.log(`[clnp] Verify ${challenge.challengeId.slice(0, 8)} — ` +
     `${result.verdict} (${Math.round(result.overall * 100)}%) ` +
-    `[${result.sampleCount} samples, ${result.sampleRate}Hz, ${rawData.inputMethod}]`);
+    `[${result.sampleCount} samples, ${result.sampleRate}Hz, ${rawData.inputMethod}]` +
+    (plausibility.ok ? "" : ` implausible: ${plausibility.reasons.join(",")}`));
 
   // Log session for ML data collection
   logSession({
@@ -655,6 +1270,8 @@ async function handleVerify(req, res) {
     ts: Date.now(),
     tsISO: new Date().toISOString(),
     mode: "standalone",
+    siteId: site.id,
+    action: challenge.action,
     challengeId: challenge.challengeId,
     inputMethod: result.inputMethod,
     overall: result.overall,
@@ -664,10 +1281,19 @@ async function handleVerify(req, res) {
     sampleRate: result.sampleRate,
     sampleCount: result.sampleCount,
     validCount: result.validCount,
-    ipHash: hashIP(getClientIP(req)),
+    operatorModel: result.operatorModel || null,
+    perfectResponse: result.perfectResponse || null,
+    plausible: plausibility.ok,
+    plausibility,
+    ipHash: client.ipHash,
     userAgent: req.headers["user-agent"] || "unknown",
+    clientBinding: { mode: binding.mode, mismatches: binding.mismatches },
+    riskFlags: binding.riskFlags,
+    automation,
   });
 
+  emitVerificationEvent("standalone", challenge, site, result, binding.riskFlags);
+
   json(res, 200, {
     ok: true,
     challengeId: challenge.challengeId,
@@ -679,6 +1305,10 @@ async function handleVerify(req, res) {
     sampleRate: result.sampleRate,
     sampleCount: result.sampleCount,
     inputMethod: result.inputMethod,
+    perfectResponse: result.perfectResponse || null,
+    plausibility,
+    riskFlags: binding.riskFlags,
+    automation: { risk: automation.risk, flags: automation.flags },
     receipt,
   });
 }
@@ -686,13 +1316,29 @@ async function handleVerify(req, res) {
 
 // ─── EMBED ENDPOINT HANDLERS ────────────────────────────────
 
-async function handleEmbedChallenge(_req, res) {
-  const challenge = generateEmbedChallenge();
+async function handleEmbedChallenge(req, res) {
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    json(res, 400, { ok: false, error: err.message }); return;
+  }
+  const site = resolveRequestSite(req, res, body);
+  if (!site) return;
+  if (!enforceRateLimit(req, res, challengeLimiter, "challenge", site.id)) return;
+  const binding = parseBinding(res, body);
+  if (!binding) return;
+
+  const client = clientFingerprint(req);
+  const challenge = await generateEmbedChallenge({
+    siteId: site.id, binding, client, powDifficulty: powDifficultyFor(site, client.ipHash),
+  });
   const token = makeToken({ challengeId: challenge.challengeId, expiresAt: challenge.expiresAt });
 
   console.log(`[clnp-embed] Challenge ${challenge.challengeId.slice(0, 8)} created — ` +
     `probes: [${challenge.perturbation.probes.map(p => p.freq).join(', ')}]Hz, ` +
-    `${challenge.perturbation.pulses.length} pulses (hover-time spaced)`);
+    `${challenge.perturbation.pulses.length} pulses (hover-time spaced), site: ${site.id}` +
+    (challenge.pow ? `, pow: ${challenge.pow.difficulty} bits` : ""));
 
   json(res, 200, {
     ok: true,
@@ -715,65 +1361,115 @@ async function handleEmbedVerify(req, res) {
     json(res, 401, { ok: false, error: "invalid_token" }); return;
   }
 
-  const challenge = challenges.get(tokenData.challengeId);
+  const challenge = await challenges.get(tokenData.challengeId);
   if (!challenge) {
     json(res, 404, { ok: false, error: "challenge_not_found" }); return;
   }
   if (challenge.mode !== "embed") {
     json(res, 400, { ok: false, error: "wrong_challenge_mode" }); return;
   }
+  const site = challengeSite(challenge);
+  if (!sites.isOriginAllowed(site, req.headers.origin)) {
+    json(res, 403, { ok: false, error: "origin_not_allowed" }); return;
+  }
+  if (!enforceRateLimit(req, res, verifyLimiter, "verify", site.id)) return;
   if (challenge.used) {
     json(res, 409, { ok: false, error: "challenge_already_used" }); return;
   }
   if (Date.now() > challenge.expiresAt) {
-    challenge.used = true;
+    await challenges.markUsed(challenge.challengeId);
     json(res, 410, { ok: false, error: "challenge_expired" }); return;
   }
 
-  // Mark as used
-  challenge.used = true;
-  challenge.usedAt = Date.now();
+  // Client binding — checked before consuming so a relayed submission can't burn the challenge
+  const client = clientFingerprint(req);
+  const binding = checkClientBinding(challenge, req, site);
+  if (binding.mode === "reject" && binding.mismatches.length > 0) {
+    json(res, 403, { ok: false, error: "client_binding_mismatch", mismatches: binding.mismatches }); return;
+  }
+
+  // Proof of work — also before consuming, so a solver still running can retry
+  const powError = checkPow(challenge, body.pow);
+  if (powError) {
+    json(res, 403, { ok: false, error: powError }); return;
+  }
 
-  // Validate embed raw data shape
-  if (!Array.isArray(body.pointer) || body.pointer.length < 30) {
+  // Mark as used — atomic across processes; losing the race means a replay
+  if (!(await challenges.markUsed(challenge.challengeId))) {
+    json(res, 409, { ok: false, error: "challenge_already_used" }); return;
+  }
+
+  // Validate embed raw data shape — enough pointer data, or enough typing
+  // (keyboard-only signup forms) for the keystroke pipeline on its own
+  const pointer = Array.isArray(body.pointer) ? body.pointer : [];
+  const keys = Array.isArray(body.keys) ? body.keys : [];
+  const keyboardOnly = pointer.length < 30 && keys.length >= EMBED_MIN_KEYS;
+  if (pointer.length > EMBED_MAX_POINTER) {
+    json(res, 400, { ok: false, error: "too_much_pointer_data" }); return;
+  }
+  if (Array.isArray(body.hovers) && body.hovers.length > EMBED_MAX_HOVERS) {
+    json(res, 400, { ok: false, error: "too_many_hovers" }); return;
+  }
+  if (Array.isArray(body.approaches) && body.approaches.length > EMBED_MAX_APPROACHES) {
+    json(res, 400, { ok: false, error: "too_many_approaches" }); return;
+  }
+  if (pointer.length < 30 && !keyboardOnly) {
     json(res, 400, { ok: false, error: "insufficient_pointer_data" }); return;
   }
-  if (!Array.isArray(body.elements) || body.elements.length < 1) {
+  if (!keyboardOnly && (!Array.isArray(body.elements) || body.elements.length < 1)) {
     json(res, 400, { ok: false, error: "missing_elements" }); return;
   }
 
   // Run embed analysis
   const rawData = {
-    pointer: body.pointer,
+    pointer,
     accel: Array.isArray(body.accel) ? body.accel : [],
     hovers: Array.isArray(body.hovers) ? body.hovers : [],
     pulseLog: Array.isArray(body.pulseLog) ? body.pulseLog : [],
-    elements: body.elements,
+    approaches: Array.isArray(body.approaches) ? body.approaches : [],
+    clicks: Array.isArray(body.clicks) ? body.clicks : [],
+    keys,
+    elements: Array.isArray(body.elements) ? body.elements : [],
     inputMethod: body.inputMethod || "unknown",
   };
 
+  // Every embed pointer sample comes from one move event, so moves can't be fewer
+  const automation = assessAutomation(body.automation, { pointerSamples: pointer.length });
+
   let result;
   try {
-    result = analyzeEmbed(rawData, challenge);
+    result = analyzeEmbed(rawData, challenge, {
+      thresholds: site.thresholds.embed,
+      capKeyboardOnly: site.capKeyboardOnly,
+    });
   } catch (err) {
     console.error(`[clnp-embed] Analysis error for ${challenge.challengeId.slice(0, 8)}:`, err.message);
     json(res, 500, { ok: false, error: "analysis_failed" }); return;
   }
 
   // Generate signed receipt
-  const receipt = makeToken({
+  const receipt = await makeReceipt({
     challengeId: challenge.challengeId,
+    siteId: site.id,
+    action: challenge.action,
+    nonce: challenge.nonce,
     mode: "embed",
-    verified: result.overall >= 0.60,
+    verified: result.verdictClass === "score-human",
     score: Number(result.overall.toFixed(3)),
     verdict: result.verdict,
+    keyboardOnly: result.keyboardOnly,
+    riskFlags: binding.riskFlags,
+    automationRisk: automation.risk,
+    automationFlags: automation.flags,
     verifiedAt: Date.now(),
-  });
+  }, site);
 
   console.log(`[clnp-embed] Verify ${challenge.challengeId.slice(0, 8)} — ` +
     `${result.verdict} (${Math.round(result.overall * 100)}%) ` +
     `[${result.sampleCount} samples, ${result.sampleRate}Hz, ` +
-    `${result.totalHoverTime}ms hover, ${result.uniqueElements} elements, ${rawData.inputMethod}]`);
+    `${result.totalHoverTime}ms hover, ${result.uniqueElements} elements, ${result.keystrokeCount || 0} keys, ${rawData.inputMethod}]` +
+    (result.integrity.reasons.length ? ` integrity: ${result.integrity.reasons.join(",")}` : "") +
+    (result.decoys.reasons.length ? ` decoys: ${result.decoys.hovers} hovers, ${result.decoys.clicks} clicks` : ""));
 
   // Log session for ML data collection
   logSession({
@@ -781,6 +1477,8 @@ async function handleEmbedVerify(req, res) {
     ts: Date.now(),
     tsISO: new Date().toISOString(),
     mode: "embed",
+    siteId: site.id,
+    action: challenge.action,
     challengeId: challenge.challengeId,
     inputMethod: result.inputMethod,
     overall: result.overall,
@@ -791,13 +1489,26 @@ async function handleEmbedVerify(req, res) {
     sampleCount: result.sampleCount,
     totalHoverTime: result.totalHoverTime,
     uniqueElements: result.uniqueElements,
+    keystrokeCount: result.keystrokeCount || 0,
+    keyboardOnly: result.keyboardOnly,
     plausible: result.plausible,
     validCount: result.validCount,
-    ipHash: hashIP(getClientIP(req)),
+    operatorModel: result.operatorModel || null,
+    perfectResponse: result.perfectResponse || null,
+    integrity: result.integrity,
+    decoys: result.decoys,
+    ipHash: client.ipHash,
     userAgent: req.headers["user-agent"] || "unknown",
+    clientBinding: { mode: binding.mode, mismatches: binding.mismatches },
+    riskFlags: binding.riskFlags,
+    automation,
+    powDifficulty: challenge.pow ? challenge.pow.difficulty : 0,
     deviceProfile: body.deviceProfile || null,
+    perturbMode: body.perturbMode === "hardened" ? "hardened" : "style",
   });
 
+  emitVerificationEvent("embed", challenge, site, result, binding.riskFlags);
+
   json(res, 200, {
     ok: true,
     challengeId: challenge.challengeId,
@@ -811,13 +1522,135 @@ async function handleEmbedVerify(req, res) {
     sampleCount: result.sampleCount,
     totalHoverTime: result.totalHoverTime,
     uniqueElements: result.uniqueElements,
+    keyboardOnly: result.keyboardOnly,
     plausible: result.plausible,
     inputMethod: result.inputMethod,
+    perfectResponse: result.perfectResponse || null,
+    integrity: result.integrity,
+    decoys: result.decoys,
+    riskFlags: binding.riskFlags,
+    automation: { risk: automation.risk, flags: automation.flags },
     receipt,
   });
 }
 
 
+// ─── ADMIN: PROOF-OF-WORK OVERRIDES ─────────────────────────
+// AGENT COOKIE CRUMB: Runtime knobs for when abuse is spotted in the
+// dashboard. Body is one of:
+//   { siteId, difficulty }            — set a site's base difficulty (null clears)
+//   { ipHash, extraBits, ttlSec }     — add bits for one client (0 clears)
+// Overrides live in process memory and reset on restart; put permanent
+// values in the site config instead.
+
+async function handleAdminPow(req, res) {
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    json(res, 400, { ok: false, error: err.message }); return;
+  }
+
+  const isBits = v => Number.isInteger(v) && v >= 0 && v <= MAX_POW_DIFFICULTY;
+
+  if (typeof body.siteId === "string") {
+    if (!sites.byId(body.siteId)) { json(res, 404, { ok: false, error: "site_not_found" }); return; }
+    if (body.difficulty === null) {
+      powSiteOverrides.delete(body.siteId);
+    } else if (isBits(body.difficulty)) {
+      powSiteOverrides.set(body.siteId, body.difficulty);
+    } else {
+      json(res, 400, { ok: false, error: "invalid_difficulty" }); return;
+    }
+    console.log(`[clnp] PoW difficulty for site ${body.siteId}: ${body.difficulty === null ? "reset" : `${body.difficulty} bits`}`);
+  } else if (typeof body.ipHash === "string" && body.ipHash) {
+    if (!isBits(body.extraBits)) { json(res, 400, { ok: false, error: "invalid_extra_bits" }); return; }
+    const ttlSec = Number(body.ttlSec) > 0 ? Math.min(86400, Number(body.ttlSec)) : POW_PENALTY_TTL_MS / 1000;
+    if (body.extraBits === 0) powIpPenalties.delete(body.ipHash);
+    else raisePowPenalty(body.ipHash, body.extraBits, ttlSec * 1000);
+    console.log(`[clnp] PoW penalty for ${body.ipHash}: +${body.extraBits} bits for ${ttlSec}s`);
+  } else {
+    json(res, 400, { ok: false, error: "missing_target" }); return;
+  }
+
+  json(res, 200, { ok: true, ...powStatus() });
+}
+
+
+// ─── RECEIPT REDEMPTION ─────────────────────────────────────
+// AGENT COOKIE CRUMB: A receipt in the browser is just a bearer claim — on
+// its own it could be replayed against the relying party forever. The RP's
+// backend redeems it here exactly once: signature + exp + max age are
+// checked, then the jti is consumed via the store's atomic markUsed().
+// A second redemption (any process sharing the store) gets a 409.
+// The RP may pass expectedAction / expectedNonce: a receipt minted for a
+// different action or nonce is refused WITHOUT being consumed.
+
+async function handleReceiptRedeem(req, res) {
+  const auth = authenticateSite(req);
+  if (!auth.ok) { json(res, auth.status, { ok: false, error: auth.error }); return; }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    json(res, 400, { ok: false, error: err.message }); return;
+  }
+
+  const claims = verifyReceipt(body.receipt, auth.site.audience);
+  if (!claims || typeof claims.jti !== "string") {
+    json(res, 400, { ok: false, error: "invalid_receipt" }); return;
+  }
+  // aud already pins the audience; siteId guards sites that share one
+  if ((claims.siteId || DEFAULT_SITE_ID) !== auth.site.id) {
+    json(res, 403, { ok: false, error: "receipt_wrong_site" }); return;
+  }
+
+  const nowSec = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number" || nowSec >= claims.exp) {
+    json(res, 410, { ok: false, error: "receipt_expired" }); return;
+  }
+  // RP may tighten (never loosen) the server's max age per call
+  const requestedMaxAge = Number(body.maxAgeSec);
+  const maxAgeSec = requestedMaxAge > 0 ? Math.min(requestedMaxAge, RECEIPT_MAX_AGE_SEC) : RECEIPT_MAX_AGE_SEC;
+  if (typeof claims.iat !== "number" || nowSec - claims.iat > maxAgeSec) {
+    json(res, 410, { ok: false, error: "receipt_too_old" }); return;
+  }
+
+  if (body.expectedAction !== undefined && body.expectedAction !== null && claims.action !== body.expectedAction) {
+    json(res, 403, { ok: false, error: "receipt_action_mismatch" }); return;
+  }
+  if (body.expectedNonce !== undefined && body.expectedNonce !== null && claims.nonce !== body.expectedNonce) {
+    json(res, 403, { ok: false, error: "receipt_nonce_mismatch" }); return;
+  }
+
+  const record = await receipts.get(claims.jti);
+  if (!record) {
+    json(res, 404, { ok: false, error: "receipt_not_found" }); return;
+  }
+  if (record.used || !(await receipts.markUsed(claims.jti))) {
+    json(res, 409, { ok: false, error: "receipt_already_redeemed" }); return;
+  }
+
+  console.log(`[clnp] Receipt ${claims.jti.slice(0, 8)} redeemed — challenge ${claims.challengeId.slice(0, 8)}, ${claims.verdict}`);
+
+  json(res, 200, {
+    ok: true,
+    challengeId: claims.challengeId,
+    siteId: claims.siteId,
+    action: claims.action,
+    nonce: claims.nonce,
+    mode: claims.mode,
+    verified: claims.verified,
+    score: claims.score,
+    verdict: claims.verdict,
+    keyboardOnly: claims.keyboardOnly === true,
+    automationRisk: claims.automationRisk ?? null,
+    verifiedAt: claims.verifiedAt,
+  });
+}
+
+
 // ─── STATIC FILE SERVING ────────────────────────────────────
 
 function serveFile(res, filePath, contentType) {
@@ -835,18 +1668,15 @@ function serveFile(res, filePath, contentType) {
 
 // ─── REQUEST ROUTER ─────────────────────────────────────────
 
-const server = http.createServer(async (req, res) => {
+async function route(req, res) {
   const method = req.method || "GET";
   const url = new URL(req.url || "/", `http://${req.headers.host || "localhost"}`);
 
+  applyCors(req, res);
+
   // CORS preflight
   if (method === "OPTIONS") {
-    res.writeHead(204, {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Authorization",
-      "Access-Control-Max-Age": "86400",
-    });
+    res.writeHead(204, { "Access-Control-Max-Age": "86400" });
     res.end();
     return;
   }
@@ -886,8 +1716,25 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // Relying-party backend API
+  if (method === "POST" && url.pathname === "/api/receipt/redeem") {
+    await handleReceiptRedeem(req, res);
+    return;
+  }
+
   if (method === "GET" && url.pathname === "/api/health") {
-    json(res, 200, { ok: true, uptimeSec: Number(process.uptime().toFixed(1)), pendingChallenges: challenges.size });
+    json(res, 200, { ok: true, uptimeSec: Number(process.uptime().toFixed(1)), pendingChallenges: await challenges.size(), challengeStore: challenges.kind });
+    return;
+  }
+
+  if (method === "GET" && url.pathname === "/.well-known/jwks.json") {
+    res.writeHead(200, {
+      "Content-Type": "application/jwk-set+json; charset=utf-8",
+      "Cache-Control": "public, max-age=300",
+      "Access-Control-Allow-Origin": "*",
+      "X-Content-Type-Options": "nosniff",
+    });
+    res.end(JSON.stringify({ keys: receiptJwks }));
     return;
   }
 
@@ -906,9 +1753,16 @@ const server = http.createServer(async (req, res) => {
   if (method === "GET" && url.pathname === "/api/admin/stats") {
     const auth = authenticateAdmin(req, url);
     if (!auth.ok) { json(res, auth.status, { ok: false, error: auth.error }); return; }
-    const sessions = readAllSessions();
+    const siteFilter = url.searchParams.get("site");
+    const allSessions = readAllSessions();
+    const sessions = siteFilter ? filterBySite(allSessions, siteFilter) : allSessions;
     const stats = computeAdminStats(sessions);
-    json(res, 200, { ok: true, ...stats });
+    // Site list always comes from the unfiltered log so the dashboard picker stays complete
+    const siteIds = [...new Set([...sites.list().map(site => site.id), ...allSessions.map(x => x.siteId || DEFAULT_SITE_ID)])];
+    const rateLimited = siteFilter
+      ? { since: rateLimitHits.since, ...(rateLimitHits.bySite[siteFilter] || { challenge: 0, verify: 0 }) }
+      : { since: rateLimitHits.since, challenge: rateLimitHits.challenge, verify: rateLimitHits.verify };
+    json(res, 200, { ok: true, site: siteFilter || null, sites: siteIds, rateLimited, ...stats });
     return;
   }
 
@@ -917,7 +1771,8 @@ const server = http.createServer(async (req, res) => {
     if (!auth.ok) { json(res, auth.status, { ok: false, error: auth.error }); return; }
     const limit = Math.min(200, Math.max(1, Number(url.searchParams.get("limit")) || 50));
     const offset = Math.max(0, Number(url.searchParams.get("offset")) || 0);
-    const sessions = readAllSessions();
+    const siteFilter = url.searchParams.get("site");
+    const sessions = siteFilter ? filterBySite(readAllSessions(), siteFilter) : readAllSessions();
     // Return newest first, lightweight (flatten scores to key→number)
     const sorted = sessions.sort((a, b) => (b.ts || 0) - (a.ts || 0));
     const page = sorted.slice(offset, offset + limit).map(s => {
@@ -928,7 +1783,7 @@ const server = http.createServer(async (req, res) => {
         }
       }
       return {
-        id: s.id, ts: s.ts, tsISO: s.tsISO, mode: s.mode,
+        id: s.id, ts: s.ts, tsISO: s.tsISO, mode: s.mode, siteId: s.siteId || DEFAULT_SITE_ID,
         inputMethod: s.inputMethod, overall: s.overall,
         verdict: s.verdict, verdictClass: s.verdictClass,
         scores: flatScores, sampleRate: s.sampleRate,
@@ -952,6 +1807,28 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  if (method === "GET" && url.pathname === "/api/admin/pow") {
+    const auth = authenticateAdmin(req, url);
+    if (!auth.ok) { json(res, auth.status, { ok: false, error: auth.error }); return; }
+    json(res, 200, { ok: true, ...powStatus() });
+    return;
+  }
+
+  if (method === "POST" && url.pathname === "/api/admin/pow") {
+    const auth = authenticateAdmin(req, url);
+    if (!auth.ok) { json(res, auth.status, { ok: false, error: auth.error }); return; }
+    await handleAdminPow(req, res);
+    return;
+  }
+
+  if (method === "GET" && url.pathname === "/api/admin/webhooks") {
+    const auth = authenticateAdmin(req, url);
+    if (!auth.ok) { json(res, auth.status, { ok: false, error: auth.error }); return; }
+    const limit = Math.min(200, Math.max(1, Number(url.searchParams.get("limit")) || 50));
+    json(res, 200, { ok: true, ...webhooks.status(limit) });
+    return;
+  }
+
   if (method === "GET" && url.pathname === "/favicon.ico") {
     res.writeHead(204, { "Cache-Control": "public, max-age=604800" });
     res.end();
@@ -959,20 +1836,52 @@ const server = http.createServer(async (req, res) => {
   }
 
   json(res, 404, { ok: false, error: "not_found" });
+}
+
+const server = http.createServer((req, res) => {
+  route(req, res).catch(err => {
+    // Store backends are async I/O now — never let a failed read/write hang the request
+    console.error(`[clnp] ${req.method} ${req.url} failed:`, err.message);
+    if (!res.headersSent) json(res, 500, { ok: false, error: "internal_error" });
+    else res.end();
+  });
 });
 
 
 // ─── CLEANUP ────────────────────────────────────────────────
 
 function cleanupChallenges() {
+  challenges.sweep(Date.now()).catch(err => {
+    console.error("[clnp] Challenge sweep failed:", err.message);
+  });
+  receipts.sweep(Date.now()).catch(err => {
+    console.error("[clnp] Receipt sweep failed:", err.message);
+  });
+}
+
+setInterval(cleanupChallenges, CLEANUP_INTERVAL_MS).unref();
+
+function cleanupRateLimiters() {
+  challengeLimiter.sweep();
+  verifyLimiter.sweep();
   const now = Date.now();
-  for (const [id, rec] of challenges) {
-    if (rec.used && rec.usedAt && now - rec.usedAt > 10 * 60 * 1000) { challenges.delete(id); continue; }
-    if (now > rec.expiresAt + 60 * 1000) challenges.delete(id);
+  for (const [ipHash, penalty] of powIpPenalties) {
+    if (penalty.until <= now) powIpPenalties.delete(ipHash);
   }
 }
 
-setInterval(cleanupChallenges, CLEANUP_INTERVAL_MS).unref();
+setInterval(cleanupRateLimiters, CLEANUP_INTERVAL_MS).unref();
+
+function cleanupWebhooks() {
+  webhooks.sweep(Date.now()).catch(err => {
+    console.error("[clnp] Webhook sweep failed:", err.message);
+  });
+}
+
+if (webhooks.enabled) {
+  setInterval(() => webhooks.tick(), WEBHOOK_TICK_MS).unref();
+  setInterval(cleanupWebhooks, CLEANUP_INTERVAL_MS).unref();
+}
 
 
 // ─── START ──────────────────────────────────────────────────
@@ -981,5 +1890,25 @@ server.listen(PORT, HOST, () => {
   console.log(`[clnp] Server listening on http://${HOST}:${PORT}`);
   console.log(`[clnp] Scoring thresholds are SERVER-SIDE ONLY — not sent to clients`);
   console.log(`[clnp] Data directory: ${DATA_DIR}`);
+  console.log(`[clnp] Challenge store: ${challenges.kind}`);
+  console.log(`[clnp] HMAC key ring: current ${keyRing.current.kid}` +
+    (keyRing.all.length > 1 ? `, also accepting ${keyRing.all.slice(1).map(k => k.kid).join(", ")}` : "") +
+    (keyRing.ephemeral ? " (ephemeral — tokens die with this process)" : ""));
+  console.log(`[clnp] Receipt signing key: ${RECEIPT_KID} (EdDSA, ${receiptJwks.length} key(s) in JWKS)`);
+  console.log(`[clnp] Rate limits: challenge ${challengeLimiter.enabled ? `${challengeLimiter.perMinute}/min (burst ${challengeLimiter.burst})` : "off"}, ` +
+    `verify ${verifyLimiter.enabled ? `${verifyLimiter.perMinute}/min (burst ${verifyLimiter.burst})` : "off"}`);
+  console.log(`[clnp] Embed proof-of-work: ${POW_DIFFICULTY > 0 ? `${POW_DIFFICULTY} bits` : "off"} by default, ` +
+    `+${POW_PENALTY_STEP} bits per rate-limit hit (max +${POW_PENALTY_MAX})`);
+  console.log(`[clnp] Sites: ${sites.configuredCount} configured${sites.bySiteKey(null) ? " + default" : " (site key required)"}`);
+  const redeemSites = sites.list().filter(site => site.hasSecret).map(site => site.id);
+  console.log(`[clnp] Receipt redemption: ${redeemSites.length ? `enabled for ${redeemSites.join(", ")}` : "disabled (no site secrets)"}`);
+  if (webhooks.enabled) {
+    webhooks.load().then(pending => {
+      console.log(`[clnp] Webhooks: ${webhooks.subscriptions.map(sub => sub.id).join(", ")} (${pending} pending from previous run)`);
+      webhooks.tick();
+    }).catch(err => console.error("[clnp] Failed to load webhook queue:", err.message));
+  } else {
+    console.log("[clnp] Webhooks: none configured");
+  }
   console.log(`[clnp] Admin dashboard: ${CLNP_ADMIN_TOKEN ? "enabled (token set)" : "disabled (no CLNP_ADMIN_TOKEN)"}`);
 });
@@ -0,0 +1,187 @@
+/**
+ * CLNP Site Registry (multi-tenant config)
+ *
+ * AGENT COOKIE CRUMB: One CLNP server can serve several properties. Each
+ * site has a PUBLIC site key (sent by the browser to /api/challenge and
+ * /api/embed/challenge), a stable `id` stamped on challenges, receipts and
+ * session records, its own allowed origins, its own SECRET for
+ * /api/receipt/redeem, and optional verdict threshold overrides.
+ *
+ * Config is a JSON array, from CLNP_SITES (inline) or CLNP_SITES_FILE:
+ *
+ *   [{
+ *     "id": "shop",
+ *     "siteKey": "pk_shop_4f9c...",
+ *     "secret": "sk_shop_...",
+ *     "origins": ["https://shop.example.com"],
+ *     "audience": "shop-backend",                       // optional, receipt aud (default: id)
+ *     "clientBinding": "reject",                        // optional: reject | flag | off
+ *     "powDifficulty": 16,                              // optional: embed proof-of-work bits (0 = off)
+ *     "capKeyboardOnly": true,                          // optional: keyboard-only sessions top out at uncertain
+ *     "thresholds": {                                   // optional
+ *       "standalone": { "humanThreshold": 0.7 },
+ *       "embed": { "humanThreshold": 0.65, "uncertainThreshold": 0.35 }
+ *     }
+ *   }]
+ *
+ * Requests without a site key fall back to the implicit "default" site
+ * (legacy single-tenant behaviour: any origin, CLNP_SITE_SECRET) unless
+ * `requireSiteKey` is set. Its wildcard only drives CORS while no sites
+ * are configured; once they are, browsers get CORS for their origins
+ * alone. Zero external dependencies.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+const DEFAULT_SITE_ID = "default";
+const THRESHOLD_KEYS = ["humanThreshold", "uncertainThreshold"];
+const CLIENT_BINDING_MODES = ["reject", "flag", "off"];
+const MAX_POW_DIFFICULTY = 24; // ~16M hashes — beyond this, slow phones never finish
+
+
+/**
+ * Keep only numeric threshold overrides in [0, 1]; anything else is ignored
+ * so a typo in config can never loosen scoring to NaN.
+ */
+function normalizeThresholds(raw) {
+  const out = {};
+  for (const mode of ["standalone", "embed"]) {
+    const src = raw && raw[mode];
+    if (!src) continue;
+    const t = {};
+    for (const key of THRESHOLD_KEYS) {
+      if (typeof src[key] === "number" && src[key] >= 0 && src[key] <= 1) t[key] = src[key];
+    }
+    if (Object.keys(t).length) out[mode] = t;
+  }
+  return out;
+}
+
+function normalizeSite(raw, index) {
+  if (!raw || typeof raw.id !== "string" || !raw.id) throw new Error(`Site #${index}: missing id`);
+  if (typeof raw.siteKey !== "string" || !raw.siteKey) throw new Error(`Site "${raw.id}": missing siteKey`);
+  return {
+    id: raw.id,
+    siteKey: raw.siteKey,
+    secret: typeof raw.secret === "string" && raw.secret ? raw.secret : null,
+    origins: Array.isArray(raw.origins) ? raw.origins.map(String) : [],
+    audience: typeof raw.audience === "string" && raw.audience ? raw.audience : raw.id,
+    thresholds: normalizeThresholds(raw.thresholds),
+    // null = use the server-wide CLNP_CLIENT_BINDING mode
+    clientBinding: CLIENT_BINDING_MODES.includes(raw.clientBinding) ? raw.clientBinding : null,
+    // null = use the server-wide CLNP_POW_DIFFICULTY
+    powDifficulty: Number.isInteger(raw.powDifficulty) && raw.powDifficulty >= 0
+      ? Math.min(MAX_POW_DIFFICULTY, raw.powDifficulty) : null,
+    capKeyboardOnly: raw.capKeyboardOnly === true,
+  };
+}
+
+function timingSafeStringEqual(a, b) {
+  const aBuf = Buffer.from(String(a), "utf8");
+  const bBuf = Buffer.from(String(b), "utf8");
+  return aBuf.length === bBuf.length && crypto.timingSafeEqual(aBuf, bBuf);
+}
+
+
+/**
+ * Build the site registry.
+ *
+ * @param {Object} opts
+ * @param {string} [opts.json] - Inline JSON array of sites (CLNP_SITES)
+ * @param {string} [opts.file] - Path to a JSON file with the same content (CLNP_SITES_FILE)
+ * @param {string|null} [opts.defaultSecret] - Redemption secret for the implicit default site
+ * @param {string} [opts.defaultAudience] - Receipt aud for the implicit default site
+ * @param {boolean} [opts.requireSiteKey] - Reject requests that carry no site key
+ * @returns {Object} Registry
+ */
+function loadSites(opts = {}) {
+  let rawList = [];
+  if (opts.json) {
+    rawList = JSON.parse(opts.json);
+  } else if (opts.file && fs.existsSync(opts.file)) {
+    rawList = JSON.parse(fs.readFileSync(opts.file, "utf8"));
+  }
+  if (!Array.isArray(rawList)) throw new Error("Site config must be a JSON array");
+
+  const sites = rawList.map(normalizeSite);
+  const byKey = new Map();
+  const byId = new Map();
+  for (const site of sites) {
+    if (byKey.has(site.siteKey)) throw new Error(`Duplicate siteKey for site "${site.id}"`);
+    if (byId.has(site.id) || site.id === DEFAULT_SITE_ID) throw new Error(`Duplicate or reserved site id "${site.id}"`);
+    byKey.set(site.siteKey, site);
+    byId.set(site.id, site);
+  }
+
+  const defaultSite = opts.requireSiteKey ? null : {
+    id: DEFAULT_SITE_ID,
+    siteKey: null,
+    secret: opts.defaultSecret || null,
+    origins: ["*"],
+    audience: opts.defaultAudience || DEFAULT_SITE_ID,
+    thresholds: {},
+    clientBinding: null,
+    powDifficulty: null,
+    capKeyboardOnly: false,
+  };
+  if (defaultSite) byId.set(DEFAULT_SITE_ID, defaultSite);
+
+  const allSites = defaultSite ? [defaultSite, ...sites] : sites;
+  // The default site's "*" would keep CORS open for every configured site
+  const corsSites = sites.length ? sites : allSites;
+
+  return {
+    /** Number of explicitly configured sites (excludes the implicit default). */
+    configuredCount: sites.length,
+
+    /**
+     * Resolve the site for a browser-supplied site key.
+     * No key → default site (or null when site keys are required).
+     */
+    bySiteKey(siteKey) {
+      if (siteKey === undefined || siteKey === null || siteKey === "") return defaultSite;
+      return byKey.get(String(siteKey)) || null;
+    },
+
+    byId(id) {
+      return byId.get(id) || null;
+    },
+
+    /**
+     * Find the site whose redemption secret matches. Every site is compared
+     * (timing-safe) so the response time does not reveal which one matched.
+     */
+    bySecret(secret) {
+      let match = null;
+      for (const site of allSites) {
+        if (site.secret && timingSafeStringEqual(secret, site.secret) && !match) match = site;
+      }
+      return match;
+    },
+
+    /** Is `origin` allowed to use this site's challenges? Missing Origin = non-browser client. */
+    isOriginAllowed(site, origin) {
+      if (!origin) return true;
+      return site.origins.includes("*") || site.origins.includes(origin);
+    },
+
+    /** Is `origin` allowed by ANY site? Used for CORS before the site is known. */
+    isKnownOrigin(origin) {
+      return corsSites.some(site => site.origins.includes("*") || site.origins.includes(origin));
+    },
+
+    /** Does any site accept every origin? Then CORS can stay on "*". */
+    hasWildcardOrigin() {
+      return corsSites.some(site => site.origins.includes("*"));
+    },
+
+    list() {
+      return allSites.map(site => ({ id: site.id, origins: site.origins, hasSecret: !!site.secret }));
+    },
+  };
+}
+
+module.exports = { loadSites, DEFAULT_SITE_ID, CLIENT_BINDING_MODES, MAX_POW_DIFFICULTY };
@@ -0,0 +1,261 @@
+/**
+ * CLNP Challenge Store
+ *
+ * AGENT COOKIE CRUMB: Outstanding challenges used to live in a module-level
+ * Map in server.js, so a Fly.io auto-stop/restart (or a second machine)
+ * dropped every challenge mid-browse and /api/embed/verify answered
+ * challenge_not_found. This module puts a small interface in front of that
+ * state so the backend is pluggable:
+ *
+ *   get(id)              → record copy, or null if unknown
+ *   put(id, record)      → store/replace a record (must carry expiresAt)
+ *   markUsed(id, usedAt) → true if THIS call consumed the record, false if
+ *                          it was already used (or does not exist)
+ *   sweep(now)           → delete expired and long-used records
+ *   size()               → number of stored records (health endpoint)
+ *
+ * Backends:
+ *   memory — the original per-process Map. Fast, lost on restart.
+ *   file   — one JSON file per record under a directory (CLNP_DATA_DIR).
+ *            Survives restarts and can be shared by several processes on
+ *            one host. Single-use is enforced with an O_EXCL-created
+ *            "<id>.used" marker file: the kernel guarantees exactly one
+ *            process wins the create, so `used`/`usedAt` stay atomic
+ *            across processes without any locking daemon.
+ *
+ * All methods return Promises so a networked backend can be dropped in
+ * later without touching the handlers. Zero external dependencies.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_USED_RETENTION_MS = 10 * 60 * 1000; // Keep used records 10 min (replay → 409, not 404)
+const DEFAULT_EXPIRY_GRACE_MS = 60 * 1000;        // Keep expired records 1 min (late submit → 410, not 404)
+const STALE_TMP_MS = 60 * 1000;                   // Abandoned temp files from crashed writers
+
+// Record IDs become file names — only allow what we generate (hex / base64url).
+const SAFE_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+
+/**
+ * Decide whether a record is due for deletion.
+ * Shared by both backends so sweep semantics are identical.
+ */
+function isSweepable(rec, now, usedRetentionMs, expiryGraceMs) {
+  if (rec.used && rec.usedAt && now - rec.usedAt > usedRetentionMs) return true;
+  return now > rec.expiresAt + expiryGraceMs;
+}
+
+
+// ─── MEMORY BACKEND ─────────────────────────────────────────
+
+/**
+ * In-process store. Same behaviour as the original `challenges` Map.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.usedRetentionMs] - How long used records are kept
+ * @param {number} [opts.expiryGraceMs] - How long past expiresAt records are kept
+ */
+function createMemoryStore(opts = {}) {
+  const usedRetentionMs = opts.usedRetentionMs ?? DEFAULT_USED_RETENTION_MS;
+  const expiryGraceMs = opts.expiryGraceMs ?? DEFAULT_EXPIRY_GRACE_MS;
+  const records = new Map();
+
+  return {
+    kind: "memory",
+
+    async get(id) {
+      const rec = records.get(id);
+      return rec ? { ...rec } : null;
+    },
+
+    async put(id, record) {
+      records.set(id, { ...record });
+    },
+
+    async markUsed(id, usedAt = Date.now()) {
+      const rec = records.get(id);
+      if (!rec || rec.used) return false;
+      rec.used = true;
+      rec.usedAt = usedAt;
+      return true;
+    },
+
+    async sweep(now = Date.now()) {
+      let removed = 0;
+      for (const [id, rec] of records) {
+        if (isSweepable(rec, now, usedRetentionMs, expiryGraceMs)) { records.delete(id); removed++; }
+      }
+      return removed;
+    },
+
+    async size() {
+      return records.size;
+    },
+  };
+}
+
+
+// ─── FILE BACKEND ───────────────────────────────────────────
+// AGENT COOKIE CRUMB: Layout under `dir`:
+//   <id>.json  — the record, written via temp file + rename (never torn)
+//   <id>.used  — single-use marker, created with flag "wx" (O_CREAT|O_EXCL);
+//                its content is the usedAt timestamp
+// The record file itself is never rewritten after put(), so concurrent
+// readers never race a writer; "used" state comes only from the marker.
+
+/**
+ * File-backed store shared by every process that points at the same dir.
+ *
+ * @param {string} dir - Directory to hold record files (created on demand)
+ * @param {Object} [opts]
+ * @param {number} [opts.usedRetentionMs] - How long used records are kept
+ * @param {number} [opts.expiryGraceMs] - How long past expiresAt records are kept
+ */
+function createFileStore(dir, opts = {}) {
+  const usedRetentionMs = opts.usedRetentionMs ?? DEFAULT_USED_RETENTION_MS;
+  const expiryGraceMs = opts.expiryGraceMs ?? DEFAULT_EXPIRY_GRACE_MS;
+  const fsp = fs.promises;
+  let dirReady = false;
+
+  async function ensureDir() {
+    if (dirReady) return;
+    await fsp.mkdir(dir, { recursive: true });
+    dirReady = true;
+  }
+
+  const recordPath = id => path.join(dir, `${id}.json`);
+  const usedPath = id => path.join(dir, `${id}.used`);
+
+  async function readUsedAt(id) {
+    try {
+      const content = await fsp.readFile(usedPath(id), "utf8");
+      return Number(content) || 0;
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async function unlinkQuiet(filePath) {
+    try { await fsp.unlink(filePath); } catch (err) { if (err.code !== "ENOENT") throw err; }
+  }
+
+  return {
+    kind: "file",
+    dir,
+
+    async get(id) {
+      if (!SAFE_ID.test(String(id))) return null;
+      let rec;
+      try {
+        rec = JSON.parse(await fsp.readFile(recordPath(id), "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT" || err instanceof SyntaxError) return null;
+        throw err;
+      }
+      const usedAt = await readUsedAt(id);
+      if (usedAt !== null) {
+        rec.used = true;
+        rec.usedAt = usedAt;
+      }
+      return rec;
+    },
+
+    async put(id, record) {
+      if (!SAFE_ID.test(String(id))) throw new Error("invalid_record_id");
+      await ensureDir();
+      const tmp = path.join(dir, `.${id}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`);
+      await fsp.writeFile(tmp, JSON.stringify(record));
+      await fsp.rename(tmp, recordPath(id));
+    },
+
+    async markUsed(id, usedAt = Date.now()) {
+      if (!SAFE_ID.test(String(id))) return false;
+      try {
+        await fsp.access(recordPath(id));
+      } catch (_e) {
+        return false;
+      }
+      try {
+        await fsp.writeFile(usedPath(id), String(usedAt), { flag: "wx" });
+        return true;
+      } catch (err) {
+        if (err.code === "EEXIST") return false;
+        throw err;
+      }
+    },
+
+    async sweep(now = Date.now()) {
+      let names;
+      try {
+        names = await fsp.readdir(dir);
+      } catch (err) {
+        if (err.code === "ENOENT") return 0;
+        throw err;
+      }
+      let removed = 0;
+      const ids = new Set();
+      for (const name of names) {
+        if (name.endsWith(".json")) ids.add(name.slice(0, -5));
+        else if (name.endsWith(".used")) ids.add(name.slice(0, -5));
+        else if (name.endsWith(".tmp")) {
+          // Writer died between writeFile and rename
+          const full = path.join(dir, name);
+          try {
+            const st = await fsp.stat(full);
+            if (now - st.mtimeMs > STALE_TMP_MS) await unlinkQuiet(full);
+          } catch (_e) { /* raced with another sweeper */ }
+        }
+      }
+      for (const id of ids) {
+        const rec = await this.get(id);
+        if (!rec) {
+          // Orphaned marker (record already swept by another process)
+          const usedAt = await readUsedAt(id);
+          if (usedAt !== null && now - usedAt > usedRetentionMs) await unlinkQuiet(usedPath(id));
+          continue;
+        }
+        if (isSweepable(rec, now, usedRetentionMs, expiryGraceMs)) {
+          await unlinkQuiet(recordPath(id));
+          await unlinkQuiet(usedPath(id));
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async size() {
+      try {
+        return (await fsp.readdir(dir)).filter(n => n.endsWith(".json")).length;
+      } catch (err) {
+        if (err.code === "ENOENT") return 0;
+        throw err;
+      }
+    },
+  };
+}
+
+
+/**
+ * Build a store from a backend name ('memory' | 'file').
+ *
+ * @param {string} kind - Backend name
+ * @param {Object} [opts]
+ * @param {string} [opts.dir] - Directory for the file backend
+ * @returns {Object} Store implementing get/put/markUsed/sweep/size
+ */
+function createStore(kind, opts = {}) {
+  if (kind === "file") {
+    if (!opts.dir) throw new Error("File store requires a directory");
+    return createFileStore(opts.dir, opts);
+  }
+  if (kind === "memory") return createMemoryStore(opts);
+  throw new Error(`Unknown store backend: ${kind}`);
+}
+
+module.exports = { createStore, createMemoryStore, createFileStore };
@@ -0,0 +1,358 @@
+/**
+ * CLNP Webhooks
+ *
+ * AGENT COOKIE CRUMB: Relying parties used to learn a verdict either from
+ * the browser (untrusted) or by redeeming the receipt. Webhooks push each
+ * verification outcome to subscribed backends (fraud services, SIEMs) as a
+ * signed JSON POST, independent of what the browser does next.
+ *
+ * Subscriptions are a JSON array, from CLNP_WEBHOOKS (inline) or
+ * CLNP_WEBHOOKS_FILE:
+ *
+ *   [{
+ *     "id": "fraud",                                   // [A-Za-z0-9_-], stable
+ *     "url": "https://fraud.example.com/clnp-events",  // http: is fine for local receivers
+ *     "secret": "whsec_...",                           // HMAC key shared with the receiver
+ *     "sites": ["shop"]                                // optional, default: every site
+ *   }]
+ *
+ * Each request carries:
+ *   X-CLNP-Event: verification.completed
+ *   X-CLNP-Event-Id: evt_...          (same across retries — dedupe on it)
+ *   X-CLNP-Signature: t=<unix sec>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ * Receivers should recompute v1 over the raw body and reject stale t.
+ *
+ * Delivery: any 2xx is success. Anything else (timeout, connection error,
+ * 3xx/4xx/5xx) is retried with exponential backoff (10s, 20s, 40s, ... capped
+ * at 1h, ±20% jitter) up to maxAttempts, then marked failed. Every delivery
+ * is a JSON file under `dir` (written via temp file + rename, like store.js),
+ * so the queue survives restarts. The queue is owned by ONE process — run a
+ * single server per data directory when webhooks are configured, or events
+ * will be delivered once per process. Zero external dependencies.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { URL } = require("url");
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 10 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 5000;
+const MAX_IN_FLIGHT = 4;
+const FINISHED_RETENTION_MS = 24 * 60 * 60 * 1000; // Keep delivered/failed records 24h for the dashboard
+const MAX_ERROR_LENGTH = 200;
+
+const SAFE_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+
+// ─── CONFIG ─────────────────────────────────────────────────
+
+function normalizeSubscription(raw, index) {
+  if (!raw || typeof raw.id !== "string" || !SAFE_ID.test(raw.id)) {
+    throw new Error(`Webhook #${index}: id must match ${SAFE_ID}`);
+  }
+  let url;
+  try {
+    url = new URL(raw.url);
+  } catch (_e) {
+    throw new Error(`Webhook "${raw.id}": invalid url`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`Webhook "${raw.id}": url must be http or https`);
+  }
+  if (typeof raw.secret !== "string" || !raw.secret) throw new Error(`Webhook "${raw.id}": missing secret`);
+  return {
+    id: raw.id,
+    url: url.toString(),
+    secret: raw.secret,
+    sites: Array.isArray(raw.sites) && raw.sites.length ? raw.sites.map(String) : null,
+  };
+}
+
+/**
+ * Load webhook subscriptions.
+ *
+ * @param {Object} opts
+ * @param {string} [opts.json] - Inline JSON array (CLNP_WEBHOOKS)
+ * @param {string} [opts.file] - Path to a JSON file with the same content (CLNP_WEBHOOKS_FILE)
+ * @returns {Array} Normalized subscriptions
+ */
+function loadWebhookSubscriptions(opts = {}) {
+  let rawList = [];
+  if (opts.json) {
+    rawList = JSON.parse(opts.json);
+  } else if (opts.file && fs.existsSync(opts.file)) {
+    rawList = JSON.parse(fs.readFileSync(opts.file, "utf8"));
+  }
+  if (!Array.isArray(rawList)) throw new Error("Webhook config must be a JSON array");
+
+  const subs = rawList.map(normalizeSubscription);
+  const ids = new Set();
+  for (const sub of subs) {
+    if (ids.has(sub.id)) throw new Error(`Duplicate webhook id "${sub.id}"`);
+    ids.add(sub.id);
+  }
+  return subs;
+}
+
+
+// ─── SIGNING + TRANSPORT ────────────────────────────────────
+
+function signBody(secret, timestampSec, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestampSec}.${body}`).digest("hex");
+}
+
+function backoffMs(attempts) {
+  const base = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * POST a body once. Resolves (never rejects) with { ok, status, error }.
+ * Settles exactly once: on the end of the response, on any request or
+ * response failure (a peer dropping mid-body emits "aborted"/"close", not
+ * "end"), or at the overall deadline — a stuck delivery would otherwise
+ * hold its in-flight slot forever.
+ */
+function postOnce(urlString, headers, body) {
+  return new Promise(resolve => {
+    let settled = false;
+    let deadline = null;
+    const settle = result => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(deadline);
+      resolve(result);
+    };
+    const fail = err => settle({ ok: false, status: null, error: String(err.message).slice(0, MAX_ERROR_LENGTH) });
+
+    const url = new URL(urlString);
+    const transport = url.protocol === "https:" ? https : http;
+    const req = transport.request(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      timeout: DELIVERY_TIMEOUT_MS,
+    }, res => {
+      res.resume(); // Body is irrelevant; drain so the socket is released
+      res.on("end", () => {
+        const ok = res.statusCode >= 200 && res.statusCode < 300;
+        settle({ ok, status: res.statusCode, error: ok ? null : `http_${res.statusCode}` });
+      });
+      res.on("aborted", () => fail(new Error("response_aborted")));
+      res.on("error", fail);
+      res.on("close", () => fail(new Error("response_closed"))); // No-op after "end"
+    });
+    // Socket `timeout` is idle time only; a peer trickling bytes never trips it
+    deadline = setTimeout(() => req.destroy(new Error("deadline")), DELIVERY_TIMEOUT_MS * 2);
+    req.on("timeout", () => req.destroy(new Error("timeout")));
+    req.on("error", fail);
+    req.on("close", () => fail(new Error("connection_closed")));
+    req.end(body);
+  });
+}
+
+
+// ─── DISPATCHER ─────────────────────────────────────────────
+// AGENT COOKIE CRUMB: Delivery record lifecycle:
+//   pending  → attempts < maxAttempts, nextAttemptAt in the future or due
+//   delivered → got a 2xx (kept FINISHED_RETENTION_MS for the dashboard)
+//   failed   → gave up after maxAttempts, or the subscription was removed
+// The serialized event body is stored once and re-signed with a fresh
+// timestamp on every attempt, so retries are byte-identical payloads.
+
+/**
+ * Create the webhook dispatcher.
+ *
+ * @param {Object} opts
+ * @param {Array} opts.subscriptions - From loadWebhookSubscriptions()
+ * @param {string} opts.dir - Directory for the persisted delivery queue
+ * @param {number} [opts.maxAttempts] - Attempts before a delivery is marked failed
+ * @returns {Object} Dispatcher with load, enqueue, tick, sweep, status
+ */
+function createWebhookDispatcher(opts) {
+  const subscriptions = opts.subscriptions || [];
+  const dir = opts.dir;
+  const maxAttempts = opts.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const fsp = fs.promises;
+  const deliveries = new Map(); // id → record
+  const inFlight = new Set();
+  let dirReady = false;
+
+  const subById = new Map(subscriptions.map(sub => [sub.id, sub]));
+  const recordPath = id => path.join(dir, `${id}.json`);
+
+  async function persist(record) {
+    if (!dirReady) {
+      await fsp.mkdir(dir, { recursive: true });
+      dirReady = true;
+    }
+    const tmp = path.join(dir, `.${record.id}.${crypto.randomBytes(4).toString("hex")}.tmp`);
+    await fsp.writeFile(tmp, JSON.stringify(record));
+    await fsp.rename(tmp, recordPath(record.id));
+  }
+
+  async function attempt(record) {
+    const sub = subById.get(record.subscriptionId);
+    const now = Date.now();
+    if (!sub) {
+      Object.assign(record, { status: "failed", lastError: "subscription_removed", nextAttemptAt: null });
+      await persist(record);
+      return;
+    }
+
+    const timestampSec = Math.floor(now / 1000);
+    record.attempts++;
+    const result = await postOnce(sub.url, {
+      "Content-Type": "application/json",
+      "User-Agent": "clnp-webhooks/1",
+      "X-CLNP-Event": record.eventType,
+      "X-CLNP-Event-Id": record.eventId,
+      "X-CLNP-Delivery-Attempt": String(record.attempts),
+      "X-CLNP-Signature": `t=${timestampSec},v1=${signBody(sub.secret, timestampSec, record.body)}`,
+    }, record.body);
+
+    record.lastAttemptAt = Date.now();
+    record.lastStatus = result.status;
+    record.lastError = result.error;
+    if (result.ok) {
+      record.status = "delivered";
+      record.deliveredAt = record.lastAttemptAt;
+      record.nextAttemptAt = null;
+    } else if (record.attempts >= maxAttempts) {
+      record.status = "failed";
+      record.nextAttemptAt = null;
+      console.warn(`[clnp-webhooks] Gave up on ${record.id} after ${record.attempts} attempts (${result.error})`);
+    } else {
+      record.nextAttemptAt = record.lastAttemptAt + backoffMs(record.attempts);
+    }
+    await persist(record);
+  }
+
+  return {
+    enabled: subscriptions.length > 0,
+    subscriptions,
+
+    /**
+     * Load the persisted queue (call once at startup).
+     * @returns {Promise<number>} Number of pending deliveries recovered
+     */
+    async load() {
+      let names;
+      try {
+        names = await fsp.readdir(dir);
+      } catch (err) {
+        if (err.code === "ENOENT") return 0;
+        throw err;
+      }
+      let pending = 0;
+      for (const name of names) {
+        if (!name.endsWith(".json")) continue;
+        try {
+          const record = JSON.parse(await fsp.readFile(path.join(dir, name), "utf8"));
+          if (deliveries.has(record.id)) continue; // Queued by this process while loading
+          deliveries.set(record.id, record);
+          if (record.status === "pending") pending++;
+        } catch (_e) { /* torn or foreign file — ignore */ }
+      }
+      return pending;
+    },
+
+    /**
+     * Queue an event for every subscription that covers its site.
+     *
+     * @param {string} type - Event type (e.g. 'verification.completed')
+     * @param {Object} data - Event payload; data.siteId selects subscriptions
+     * @returns {Promise<number>} Number of deliveries queued
+     */
+    async enqueue(type, data) {
+      const targets = subscriptions.filter(sub => !sub.sites || sub.sites.includes(data.siteId));
+      if (!targets.length) return 0;
+
+      const now = Date.now();
+      const event = { id: "evt_" + crypto.randomBytes(12).toString("hex"), type, createdAt: now, data };
+      const body = JSON.stringify(event);
+      for (const sub of targets) {
+        const record = {
+          id: `${event.id}_${sub.id}`,
+          eventId: event.id,
+          eventType: type,
+          subscriptionId: sub.id,
+          siteId: data.siteId || null,
+          body,
+          status: "pending",
+          attempts: 0,
+          createdAt: now,
+          nextAttemptAt: now,
+          lastAttemptAt: null,
+          lastStatus: null,
+          lastError: null,
+          deliveredAt: null,
+        };
+        deliveries.set(record.id, record);
+        await persist(record);
+      }
+      this.tick(now);
+      return targets.length;
+    },
+
+    /**
+     * Start attempts for due deliveries (bounded concurrency). Never throws.
+     */
+    tick(now = Date.now()) {
+      for (const record of deliveries.values()) {
+        if (inFlight.size >= MAX_IN_FLIGHT) break;
+        if (record.status !== "pending" || inFlight.has(record.id) || record.nextAttemptAt > now) continue;
+        inFlight.add(record.id);
+        attempt(record)
+          .catch(err => console.error(`[clnp-webhooks] Delivery ${record.id} failed to persist:`, err.message))
+          .finally(() => inFlight.delete(record.id));
+      }
+    },
+
+    /** Drop delivered/failed records past retention. */
+    async sweep(now = Date.now()) {
+      let removed = 0;
+      for (const [id, record] of deliveries) {
+        if (record.status === "pending" || inFlight.has(id)) continue;
+        if (now - (record.lastAttemptAt || record.createdAt) <= FINISHED_RETENTION_MS) continue;
+        deliveries.delete(id);
+        try { await fsp.unlink(recordPath(id)); } catch (err) { if (err.code !== "ENOENT") throw err; }
+        removed++;
+      }
+      return removed;
+    },
+
+    /**
+     * Queue + per-subscription counters and the most recent deliveries
+     * (admin dashboard). Event bodies and secrets are not included.
+     */
+    status(limit = 50) {
+      const counts = { pending: 0, delivered: 0, failed: 0 };
+      const bySub = new Map(subscriptions.map(sub => [sub.id, { pending: 0, delivered: 0, failed: 0 }]));
+      for (const record of deliveries.values()) {
+        counts[record.status]++;
+        const subCounts = bySub.get(record.subscriptionId);
+        if (subCounts) subCounts[record.status]++;
+      }
+      const recent = [...deliveries.values()]
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit)
+        .map(({ body: _body, ...rest }) => rest);
+      return {
+        enabled: subscriptions.length > 0,
+        maxAttempts,
+        counts,
+        subscriptions: subscriptions.map(sub => ({ id: sub.id, url: sub.url, sites: sub.sites, ...bySub.get(sub.id) })),
+        recent,
+      };
+    },
+  };
+}
+
+module.exports = { loadWebhookSubscriptions, createWebhookDispatcher, signBody };